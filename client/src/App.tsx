@@ -12,7 +12,13 @@ import {
   FaPause,
   FaExclamationTriangle,
   FaCheckCircle,
-  FaInfoCircle
+  FaInfoCircle,
+  FaBug,
+  FaTimes,
+  FaLevelDownAlt,
+  FaLevelUpAlt,
+  FaICursor,
+  FaEye
 } from 'react-icons/fa';
 import Split from 'react-split';
 
@@ -76,6 +82,27 @@ const Button = styled.button`
   }
 `;
 
+// Right-hand end of the toolbar: resource usage of the last run and the status
+const StatusArea = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-left: auto;
+`;
+
+const ResourceStats = styled.div`
+  display: flex;
+  gap: 12px;
+  font-size: 12px;
+  color: #9d9d9d;
+  font-family: 'Consolas', 'Monaco', monospace;
+
+  strong {
+    color: #d4d4d4;
+    font-weight: normal;
+  }
+`;
+
 const StatusIndicator = styled.div`
   display: flex;
   align-items: center;
@@ -211,6 +238,25 @@ const VariableDisplay = styled.div`
     font-size: 0.8em;
     margin-left: 8px;
   }
+
+  .variable-tree {
+    display: inline-block;
+    vertical-align: top;
+
+    summary {
+      cursor: pointer;
+    }
+  }
+
+  .variable-tree-entry {
+    margin-left: 16px;
+  }
+
+  /* Changed since the last GDB stop */
+  .variable-value.changed {
+    color: #ffcc66;
+    background-color: #4d3e1e;
+  }
 `;
 
 const ProgressBar = styled.div`
@@ -257,7 +303,10 @@ const ControlFlowPanel = styled.div`
     color: #9cdcfe;
   }
 
-  .flow-type.loop {
+  .flow-type.loop,
+  .flow-type.for,
+  .flow-type.while,
+  .flow-type.do {
     background-color: #4a4a4a;
     color: #c586c0;
   }
@@ -301,6 +350,274 @@ const StepControls = styled.div`
   flex-wrap: wrap;
 `;
 
+// Shown when the trace hit a size limit before the program finished
+const TraceNotice = styled.div`
+  background-color: #4d3d1e;
+  border: 1px solid #c4a01c;
+  border-radius: 4px;
+  padding: 12px;
+  margin-bottom: 12px;
+  color: #ffcc66;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+// Whether the code in the editor can be traced step by step
+const VisualizationBadge = styled.span`
+  padding: 4px 8px;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: default;
+
+  &.visualizable {
+    background-color: #1e4d2b;
+    color: #4caf50;
+  }
+
+  &.output-only {
+    background-color: #4d3e1e;
+    color: #ff9800;
+  }
+`;
+
+// Compiler errors and warnings; clicking one moves the cursor to it
+const ProblemsList = styled.div`
+  background-color: #252526;
+  border: 1px solid #3c3c3c;
+  border-radius: 4px;
+  margin-bottom: 12px;
+  font-size: 0.9em;
+
+  .problems-title {
+    font-weight: bold;
+    padding: 8px 12px;
+    border-bottom: 1px solid #3c3c3c;
+  }
+
+  .problem {
+    display: flex;
+    align-items: flex-start;
+    gap: 8px;
+    padding: 6px 12px;
+    cursor: pointer;
+  }
+
+  .problem:hover {
+    background-color: #2a2d2e;
+  }
+
+  .problem.error svg {
+    color: #f44336;
+  }
+
+  .problem.warning svg {
+    color: #ffcc66;
+  }
+
+  .problem-location {
+    color: #858585;
+    white-space: nowrap;
+  }
+`;
+
+// Breakpoints set in the editor gutter, with what GDB made of them
+const BreakpointsPanel = styled.div`
+  background-color: #252526;
+  border: 1px solid #3c3c3c;
+  border-radius: 4px;
+  margin-bottom: 12px;
+  font-size: 0.9em;
+
+  .breakpoints-title {
+    font-weight: bold;
+    padding: 8px 12px;
+    border-bottom: 1px solid #3c3c3c;
+  }
+
+  .breakpoint {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 12px;
+  }
+
+  .breakpoint.disabled .breakpoint-line {
+    color: #858585;
+  }
+
+  .breakpoint-line {
+    cursor: pointer;
+    white-space: nowrap;
+  }
+
+  input[type='text'],
+  input[type='number'] {
+    background: #1e1e1e;
+    color: #d4d4d4;
+    border: 1px solid #3c3c3c;
+    border-radius: 3px;
+    padding: 2px 4px;
+    min-width: 0;
+  }
+
+  input[type='text'] {
+    flex: 1;
+  }
+
+  input[type='number'] {
+    width: 48px;
+  }
+
+  .breakpoint-status {
+    color: #858585;
+    white-space: nowrap;
+  }
+
+  .breakpoint-status.error {
+    color: #f44336;
+  }
+
+  .breakpoint-remove {
+    background: none;
+    border: none;
+    color: #858585;
+    cursor: pointer;
+    padding: 0;
+  }
+`;
+
+// Watch expressions, re-evaluated at every GDB stop, and the watchpoints set on them
+const WatchPanel = styled(BreakpointsPanel)`
+  .watch-value {
+    color: #ce9178;
+    font-family: 'Consolas', 'Monaco', monospace;
+    flex: 1;
+    overflow-wrap: anywhere;
+  }
+
+  .watch-value.error {
+    color: #858585;
+    font-style: italic;
+  }
+
+  .watch-add {
+    padding: 6px 12px;
+    display: flex;
+  }
+`;
+
+// Marker and tooltip text: the message, then its notes and suggested fixes
+const diagnosticHoverText = (diagnostic: CompilerDiagnostic): string => {
+  const lines = [diagnostic.option ? `${diagnostic.message} [${diagnostic.option}]` : diagnostic.message];
+  for (const note of diagnostic.notes) {
+    const where = note.file === 'main.cpp' ? `line ${note.line}` : `${note.file}:${note.line}`;
+    lines.push(note.line === null ? `note: ${note.message}` : `note: ${note.message} (${where})`);
+  }
+  for (const fixit of diagnostic.fixits) {
+    const at = `${fixit.line}:${fixit.column}`;
+    const inserts = fixit.line === fixit.endLine && fixit.column === fixit.endColumn;
+    if (inserts) {
+      lines.push(`fix: insert "${fixit.text}" at ${at}`);
+    } else {
+      lines.push(fixit.text
+        ? `fix: replace ${at}-${fixit.endLine}:${fixit.endColumn} with "${fixit.text}"`
+        : `fix: remove ${at}-${fixit.endLine}:${fixit.endColumn}`);
+    }
+  }
+  return lines.join('\n');
+};
+
+// "constexpr function (line 2), threads (line 9)"
+const describeUnsupported = (support: VisualizationSupport): string =>
+  support.reason || support.unsupported.map(({ construct, line }) => `${construct} (line ${line})`).join(', ');
+
+const describeTruncation = (truncated: TraceTruncation): string => {
+  if (!('atStep' in truncated)) {
+    return `Trace truncated at line ${truncated.line} after ${truncated.steps} steps: the ${truncated.reason === 'steps' ? 'step' : 'size'} limit was reached. The program's output is complete.`;
+  }
+  const ending = truncated.reason === 'exited'
+    ? 'the program exited before main returned'
+    : `the program was stopped (${truncated.status.replace(/_/g, ' ')})`;
+  const where = truncated.summarizing
+    ? ', inside a summarized loop, some time after the last step'
+    : truncated.line !== null ? ` at line ${truncated.line}` : '';
+  return `Trace incomplete after ${truncated.steps} steps: ${ending}${where}.`;
+};
+
+const formatDuration = (ms: number) => (ms < 1000 ? `${ms.toFixed(ms < 10 ? 2 : 0)} ms` : `${(ms / 1000).toFixed(2)} s`);
+
+const formatBytes = (bytes: number) => (bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(0)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+// Pause in typing before the code is validated
+const VALIDATE_DELAY_MS = 800;
+
+// Step types shown in the Control Flow panel; loop checks keep the loop header highlighted
+const CONTROL_FLOW_STEP_TYPES = ['if_condition', 'for_loop', 'while_loop', 'do_while_loop', 'function_call', 'function_enter', 'function_exit'];
+
+// Containers and arrays arrive as (possibly nested) JSON arrays, structs as objects; show them as serialized
+const formatValue = (value: unknown) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// Arrays and structs expand into one row per element or member
+const VariableValue: React.FC<{ value: unknown }> = ({ value }) => {
+  if (typeof value !== 'object' || value === null) {
+    return <span className="variable-value">{String(value)}</span>;
+  }
+  return (
+    <details className="variable-tree">
+      <summary className="variable-value">{formatValue(value)}</summary>
+      {Object.entries(value).map(([key, child]) => (
+        <div key={key} className="variable-tree-entry">
+          <span className="variable-name">{Array.isArray(value) ? `[${key}]` : key}:</span>{' '}
+          <VariableValue value={child} />
+        </div>
+      ))}
+    </details>
+  );
+};
+
+// A GDB variable object; its children are asked for the first time it's expanded
+const GdbVariableNode: React.FC<{
+  variable: GdbVariable;
+  childrenOf: Record<string, GdbVariableChildren>;
+  changed: string[];
+  onExpand: (varobj: string) => void;
+}> = ({ variable, childrenOf, changed, onExpand }) => {
+  const label = (
+    <>
+      <span className="variable-name">{variable.name}:</span>{' '}
+      <span className={`variable-value ${changed.includes(variable.varobj) ? 'changed' : ''}`}>{variable.value}</span>
+      {variable.type && <span className="variable-type">({variable.type})</span>}
+    </>
+  );
+  if (!variable.expandable) {
+    return <div>{label}</div>;
+  }
+  const loaded = childrenOf[variable.varobj];
+  return (
+    <details
+      className="variable-tree"
+      onToggle={e => {
+        if (e.currentTarget.open && !loaded) onExpand(variable.varobj);
+      }}
+    >
+      <summary>{label}</summary>
+      {loaded ? (
+        <>
+          {loaded.children.map(child => (
+            <div key={child.varobj} className="variable-tree-entry">
+              <GdbVariableNode variable={child} childrenOf={childrenOf} changed={changed} onExpand={onExpand} />
+            </div>
+          ))}
+          {loaded.hasMore && <div className="variable-tree-entry variable-type">… more not shown</div>}
+        </>
+      ) : (
+        <div className="variable-tree-entry variable-type">loading…</div>
+      )}
+    </details>
+  );
+};
+
 // Types for execution data
 interface ExecutionStep {
   stepNumber: number;
@@ -311,6 +628,11 @@ interface ExecutionStep {
   output?: string;
   timestamp?: number;
   condition?: string;
+  value?: boolean;
+  branch?: 'then' | 'else_if' | 'else' | 'none';
+  loopId?: number;
+  iteration?: number;
+  totalIterations?: number;
   variable?: {
     name: string;
     type: string;
@@ -318,10 +640,17 @@ interface ExecutionStep {
   };
 }
 
+// Why the trace stops before the program did: a trace limit, or the run being
+// killed (or leaving main without returning) part way through
+type TraceTruncation =
+  | { reason: 'steps' | 'bytes'; line: number; steps: number; bytes: number }
+  | { reason: 'killed' | 'exited'; status: string; line: number | null; steps: number; atStep: number | null; summarizing: boolean };
+
 interface ExecutionTrace {
   totalSteps: number;
   executionTime: number;
   exitCode: number;
+  truncated?: TraceTruncation | null;
   steps: ExecutionStep[];
   variableStates: any[];
   controlFlow: {
@@ -339,12 +668,205 @@ interface ExecutionTrace {
   };
 }
 
+// An AddressSanitizer/UBSan report; kind is a category like heap-buffer-overflow or
+// signed-integer-overflow, stepNumber the last step traced before it
+interface SanitizerReport {
+  tool: 'address' | 'undefined';
+  kind: string;
+  message: string;
+  line: number | null;
+  column: number | null;
+  stack: { function: string; line: number; column: number | null }[];
+  stepNumber?: number;
+}
+
+// A compiler error or warning; columns are 1-based, endColumn exclusive
+interface CompilerDiagnostic {
+  severity: 'error' | 'warning' | 'note';
+  file: string | null;
+  line: number | null;
+  column: number | null;
+  endLine: number | null;
+  endColumn: number | null;
+  message: string;
+  option: string | null;
+  fixits: { line: number; column: number; endLine: number; endColumn: number; text: string }[];
+  notes: CompilerDiagnostic[];
+}
+
+// What /api/validate says about the code in the editor
+interface CodeValidation {
+  isValid: boolean;
+  errors: CompilerDiagnostic[];
+  warnings: CompilerDiagnostic[];
+  visualization: VisualizationSupport;
+}
+
+// What can be traced: everything, all but skippedFunctions (partial), or nothing.
+// `function` is null for constructs that rule out the whole program.
+interface VisualizationSupport {
+  visualizable: boolean;
+  partial: boolean;
+  unsupported: { construct: string; line: number; function: string | null }[];
+  skippedFunctions: { name: string; line: number }[];
+  reason?: string;
+}
+
+// Measured by the server for one compile or run; CPU time and memory are null
+// when only the wall time could be taken (e.g. the program was killed)
+interface ResourceUsage {
+  wallTimeMs: number;
+  cpuTimeMs: number | null;
+  userTimeMs: number | null;
+  systemTimeMs: number | null;
+  peakMemoryBytes: number | null;
+}
+
+// A breakpoint set in the gutter. The rest comes from the server's
+// breakpoint table once GDB has seen it: its number, the line it actually
+// landed on (null while pending), how often it was hit, or why it failed.
+interface GdbBreakpoint {
+  line: number;
+  condition: string;
+  ignoreCount: number;
+  enabled: boolean;
+  number?: number | null;
+  resolvedLine?: number | null;
+  pending?: boolean;
+  hitCount?: number;
+  error?: string | null;
+}
+
+interface GdbFrame {
+  level: number;
+  func: string;
+  file: string;
+  line: number;
+}
+
+// A local (or one of its children) as a GDB variable object
+interface GdbVariable {
+  varobj: string;
+  name: string;
+  value: string | null;
+  type: string | null;
+  expandable: boolean;
+}
+
+interface GdbVariableChildren {
+  children: GdbVariable[];
+  hasMore: boolean;
+}
+
+// What -var-update reported since the last stop; childrenChanged means the
+// children have to be fetched again, and expandable is null when unknown
+interface GdbVariableChange {
+  varobj: string;
+  value: string | null;
+  expandable: boolean | null;
+  childrenChanged: boolean;
+}
+
+// A watch expression's value in the current frame, or why it has none
+interface GdbWatch {
+  expression: string;
+  value: string | null;
+  error: string | null;
+}
+
+interface GdbWatchpoint {
+  number: number;
+  expression: string;
+  access: 'write' | 'read' | 'access';
+  hardware: boolean | null;
+  hitCount: number;
+}
+
+const WATCHPOINT_ACCESS: Record<GdbWatchpoint['access'], string> = {
+  write: 'changes',
+  read: 'is read',
+  access: 'is read or written',
+};
+
+// Why GDB stopped the program; the optional fields depend on the reason
+interface GdbStop {
+  reason: string;
+  breakpointNumber?: number;
+  watchpoint?: { number: number; expression: string; oldValue: string | null; newValue: string | null };
+  returnValue?: string | null;
+  signal?: string | null;
+}
+
+// Messages from the server's GDB session
+type GdbMessage =
+  | ({
+      type: 'gdbStep';
+      currentLine: number | null;
+      variables: Record<string, string>;
+      variableObjects: GdbVariable[];
+      variableChanges: GdbVariableChange[];
+      callStack: GdbFrame[];
+      watches: GdbWatch[];
+    } & GdbStop)
+  | ({ type: 'gdbVariableChildren'; varobj: string } & GdbVariableChildren)
+  | { type: 'gdbWatches'; watches: GdbWatch[] }
+  | { type: 'gdbComplete'; reason: string; exitCode?: number; signal?: string | null; output: string }
+  | { type: 'gdbRejected'; command: string; error: string }
+  | { type: 'gdbBreakpoints'; breakpoints: GdbBreakpoint[]; watchpoints: GdbWatchpoint[] }
+  | { type: 'gdbBreakpointError'; line: number | null; error: string }
+  | { type: 'gdbError' | 'compileError'; error: string };
+
+// What the server needs to set a breakpoint; the rest is GDB's to say
+const breakpointSpec = ({ line, condition, ignoreCount, enabled }: GdbBreakpoint) => ({ line, condition, ignoreCount, enabled });
+
+const describeBreakpoint = (breakpoint: GdbBreakpoint): string => {
+  if (breakpoint.error) return breakpoint.error;
+  if (breakpoint.pending) return 'pending: no code on this line';
+  const parts = [];
+  if (breakpoint.resolvedLine && breakpoint.resolvedLine !== breakpoint.line) parts.push(`stops at line ${breakpoint.resolvedLine}`);
+  if (breakpoint.hitCount !== undefined && breakpoint.number != null) parts.push(`hit ${breakpoint.hitCount}×`);
+  return parts.join(', ');
+};
+
+const describeStop = (stop: GdbStop, breakpoints: GdbBreakpoint[]): string => {
+  switch (stop.reason) {
+    case 'breakpoint-hit': {
+      const breakpoint = breakpoints.find(candidate => candidate.number === stop.breakpointNumber);
+      return breakpoint ? `Stopped at the breakpoint on line ${breakpoint.line}` : 'Stopped at the start of main';
+    }
+    case 'end-stepping-range':
+      return 'Stepped';
+    case 'function-finished':
+      return stop.returnValue != null ? `Returned ${stop.returnValue}` : 'Returned';
+    case 'location-reached':
+      return 'Reached the line';
+    case 'signal-received':
+      return stop.signal === 'SIGINT' ? 'Paused' : `Stopped by ${stop.signal}`;
+    case 'watchpoint-trigger':
+    case 'access-watchpoint-trigger':
+      return stop.watchpoint?.oldValue != null
+        ? `${stop.watchpoint.expression} changed from ${stop.watchpoint.oldValue} to ${stop.watchpoint.newValue}`
+        : `${stop.watchpoint?.expression} was accessed: ${stop.watchpoint?.newValue}`;
+    case 'read-watchpoint-trigger':
+      return `${stop.watchpoint?.expression} was read: ${stop.watchpoint?.newValue}`;
+    case 'watchpoint-scope':
+      return 'A watched variable went out of scope; its watchpoint was deleted';
+    default:
+      return `Stopped (${stop.reason})`;
+  }
+};
+
 interface ExecutionResult {
   success: boolean;
   stdout?: string;
   stderr?: string;
   exitCode?: number;
+  status?: string;
+  sanitizerReports?: SanitizerReport[];
+  diagnostics?: CompilerDiagnostic[];
+  visualization?: VisualizationSupport;
   executionTime?: number;
+  usage?: { compile: ResourceUsage | null; run: ResourceUsage | null };
   executionTrace?: ExecutionTrace;
   error?: string;
 }
@@ -391,8 +913,44 @@ int main() {
   const [controlFlow, setControlFlow] = useState<any>({});
   const [ioOperations, setIoOperations] = useState<any[]>([]);
   const [highlightDecorationIds, setHighlightDecorationIds] = useState<string[]>([]);
+  const [useSanitizers, setUseSanitizers] = useState(false);
+  const [diagnostics, setDiagnostics] = useState<CompilerDiagnostic[]>([]);
+  const [visualization, setVisualization] = useState<VisualizationSupport | null>(null);
+  // Saved with the code, so reloading the same program brings them back
+  const [breakpoints, setBreakpoints] = useState<GdbBreakpoint[]>(() => {
+    try {
+      return JSON.parse(localStorage.getItem('cpp_breakpoints') || '[]');
+    } catch {
+      return [];
+    }
+  });
+  const [isDebugging, setIsDebugging] = useState(false);
+  const [gdbStop, setGdbStop] = useState<GdbStop | null>(null);
+  // Saved like the breakpoints; the values come from the GDB session
+  const [watches, setWatches] = useState<GdbWatch[]>(() => {
+    try {
+      const expressions: string[] = JSON.parse(localStorage.getItem('cpp_watches') || '[]');
+      return expressions.map(expression => ({ expression, value: null, error: null }));
+    } catch {
+      return [];
+    }
+  });
+  const [watchpoints, setWatchpoints] = useState<GdbWatchpoint[]>([]);
+  const [newWatch, setNewWatch] = useState('');
+  const [gdbVariables, setGdbVariables] = useState<GdbVariable[]>([]);
+  // Children fetched so far, by parent variable object
+  const [gdbChildren, setGdbChildren] = useState<Record<string, GdbVariableChildren>>({});
+  const [changedVarobjs, setChangedVarobjs] = useState<string[]>([]);
   
   const editorRef = useRef<any>(null);
+  const monacoRef = useRef<Parameters<OnMount>[1] | null>(null);
+  const faultDecorationIdsRef = useRef<string[]>([]);
+  // One per breakpoint, in the same order, so edits can move breakpoints with their lines
+  const breakpointDecorationIdsRef = useRef<string[]>([]);
+  const breakpointsRef = useRef(breakpoints);
+  const watchesRef = useRef(watches);
+  const gdbChildrenRef = useRef(gdbChildren);
+  const gdbSocketRef = useRef<WebSocket | null>(null);
   const autoReplayIntervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
 
   // API base URL
@@ -425,6 +983,143 @@ int main() {
     }
   }, [currentLine]);
 
+  // Mark the line a sanitizer report points at, for as long as the result is shown
+  const sanitizerFault = executionResult?.sanitizerReports?.[0];
+  useEffect(() => {
+    if (!editorRef.current) return;
+    const newDecorations = sanitizerFault?.line ? [
+      {
+        range: {
+          startLineNumber: sanitizerFault.line,
+          endLineNumber: sanitizerFault.line,
+          startColumn: 1,
+          endColumn: 1,
+        },
+        options: {
+          isWholeLine: true,
+          className: 'sanitizer-fault-line',
+          hoverMessage: { value: `${sanitizerFault.kind}: ${sanitizerFault.message}` },
+        },
+      },
+    ] : [];
+    faultDecorationIdsRef.current = editorRef.current.deltaDecorations(faultDecorationIdsRef.current, newDecorations);
+  }, [sanitizerFault]);
+
+  // Show compiler diagnostics in the user's code as squiggles with hover text
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    const model = editor?.getModel();
+    if (!model || !monaco) return;
+    const severities: Record<CompilerDiagnostic['severity'], number> = {
+      error: monaco.MarkerSeverity.Error,
+      warning: monaco.MarkerSeverity.Warning,
+      note: monaco.MarkerSeverity.Info,
+    };
+    const markers = diagnostics
+      .filter(diagnostic => diagnostic.file === 'main.cpp' && diagnostic.line !== null && diagnostic.line <= model.getLineCount())
+      .map(diagnostic => {
+        const line = diagnostic.line!;
+        let startColumn = diagnostic.column ?? 1;
+        let endColumn: number;
+        if (diagnostic.column === null) {
+          endColumn = model.getLineMaxColumn(line);
+        } else if (diagnostic.endLine === line && diagnostic.endColumn) {
+          endColumn = diagnostic.endColumn;
+        } else {
+          // No range: underline the word at the caret
+          const word = model.getWordAtPosition({ lineNumber: line, column: startColumn });
+          startColumn = word ? word.startColumn : startColumn;
+          endColumn = word ? word.endColumn : startColumn + 1;
+        }
+        return {
+          severity: severities[diagnostic.severity],
+          message: diagnosticHoverText(diagnostic),
+          code: diagnostic.option ?? undefined,
+          source: 'compiler',
+          startLineNumber: line,
+          startColumn,
+          endLineNumber: line,
+          endColumn,
+        };
+      });
+    monaco.editor.setModelMarkers(model, 'compiler', markers);
+  }, [diagnostics]);
+
+  // Breakpoint dots in the glyph margin; the callbacks registered on mount read them from the ref
+  useEffect(() => {
+    breakpointsRef.current = breakpoints;
+    localStorage.setItem('cpp_breakpoints', JSON.stringify(breakpoints.map(breakpointSpec)));
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editor || !monaco) return;
+    const newDecorations = breakpoints.map(breakpoint => ({
+      range: {
+        startLineNumber: breakpoint.line,
+        endLineNumber: breakpoint.line,
+        startColumn: 1,
+        endColumn: 1,
+      },
+      options: {
+        isWholeLine: true,
+        stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+        glyphMarginClassName: [
+          'breakpoint-glyph',
+          breakpoint.enabled ? '' : 'disabled',
+          breakpoint.condition ? 'conditional' : '',
+          breakpoint.error || breakpoint.pending ? 'unresolved' : '',
+        ].join(' '),
+        glyphMarginHoverMessage: {
+          value: [
+            `Breakpoint${breakpoint.enabled ? '' : ' (disabled)'}`,
+            breakpoint.condition && `when \`${breakpoint.condition}\``,
+            breakpoint.ignoreCount > 0 && `after ${breakpoint.ignoreCount} hits`,
+            describeBreakpoint(breakpoint),
+          ].filter(Boolean).join(', '),
+        },
+      },
+    }));
+    breakpointDecorationIdsRef.current = editor.deltaDecorations(breakpointDecorationIdsRef.current, newDecorations);
+  }, [breakpoints]);
+
+  useEffect(() => {
+    gdbChildrenRef.current = gdbChildren;
+  }, [gdbChildren]);
+
+  useEffect(() => {
+    watchesRef.current = watches;
+    localStorage.setItem('cpp_watches', JSON.stringify(watches.map(watch => watch.expression)));
+  }, [watches]);
+
+  // Validate the code once the user stops typing, so problems and whether it
+  // can be visualized show up before anyone clicks Execute
+  useEffect(() => {
+    if (!code.trim()) return;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/validate`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ code }),
+          signal: controller.signal,
+        });
+        if (!response.ok) return;
+        const result: CodeValidation = await response.json();
+        setDiagnostics([...result.errors, ...result.warnings]);
+        setVisualization(result.visualization);
+      } catch {
+        // Superseded by newer code, or the server is unreachable; Execute will say so
+      }
+    }, VALIDATE_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [code, API_BASE]);
+
   // Add CSS for current line highlight
   useEffect(() => {
     const style = document.createElement('style');
@@ -433,6 +1128,33 @@ int main() {
         background: #264f78 !important; 
         border-left: 3px solid #0e639c !important;
       }
+      .sanitizer-fault-line {
+        background: #4d1e1e !important;
+        border-left: 3px solid #f44336 !important;
+      }
+      .breakpoint-glyph {
+        cursor: pointer;
+      }
+      .breakpoint-glyph::before {
+        content: '';
+        display: block;
+        width: 10px;
+        height: 10px;
+        margin: 4px auto;
+        border-radius: 50%;
+        background: #e51400;
+      }
+      .breakpoint-glyph.conditional::before {
+        border-radius: 2px;
+      }
+      .breakpoint-glyph.disabled::before {
+        background: #858585;
+      }
+      .breakpoint-glyph.unresolved::before {
+        background: transparent;
+        border: 2px solid #e51400;
+        box-sizing: border-box;
+      }
     `;
     document.head.appendChild(style);
     return () => { document.head.removeChild(style); };
@@ -460,8 +1182,245 @@ int main() {
     };
   }, [isAutoReplay, isReplayMode, currentStepIndex, replaySpeed, executionResult]);
 
-  const handleEditorMount: OnMount = (editor) => {
+  const handleEditorMount: OnMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
+    // Clicking in the gutter toggles a breakpoint
+    editor.onMouseDown(event => {
+      const { type, position } = event.target;
+      const inGutter = type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN
+        || type === monaco.editor.MouseTargetType.GUTTER_LINE_NUMBERS;
+      if (inGutter && position) toggleBreakpoint(position.lineNumber);
+    });
+    // Breakpoints belong to the code they were set in: replacing all of it (pasting
+    // another program over it) drops them, other edits carry them along
+    editor.onDidChangeModelContent(event => {
+      const [change] = event.changes;
+      const replacesAll = event.isFlush || (event.changes.length === 1 && change.rangeOffset === 0
+        && change.rangeLength > 0 && editor.getModel()?.getValueLength() === change.text.length);
+      if (replacesAll) {
+        setBreakpoints([]);
+      } else {
+        moveBreakpointsWithEdits();
+      }
+    });
+    // Draw the breakpoints restored from localStorage now that there's an editor
+    setBreakpoints(current => [...current]);
+  };
+
+  // Sends a message to the GDB session, if there is one; the server also
+  // gets the whole list with every gdbDebug
+  const sendToGdb = (message: object) => {
+    if (gdbSocketRef.current?.readyState === WebSocket.OPEN) {
+      gdbSocketRef.current.send(JSON.stringify(message));
+    }
+  };
+
+  const toggleBreakpoint = (line: number) => {
+    const current = breakpointsRef.current;
+    if (current.some(breakpoint => breakpoint.line === line)) {
+      setBreakpoints(current.filter(breakpoint => breakpoint.line !== line));
+      sendToGdb({ type: 'gdbRemoveBreakpoint', line });
+    } else {
+      const breakpoint = { line, condition: '', ignoreCount: 0, enabled: true };
+      setBreakpoints([...current, breakpoint].sort((a, b) => a.line - b.line));
+      sendToGdb({ type: 'gdbAddBreakpoint', ...breakpoint });
+    }
+  };
+
+  const updateBreakpoint = (line: number, changes: Partial<Pick<GdbBreakpoint, 'condition' | 'ignoreCount' | 'enabled'>>) => {
+    const breakpoint = breakpointsRef.current.find(candidate => candidate.line === line);
+    if (!breakpoint) return;
+    const updated = { ...breakpoint, ...changes };
+    setBreakpoints(breakpointsRef.current.map(candidate => (candidate.line === line ? updated : candidate)));
+    if (changes.condition === undefined && changes.ignoreCount === undefined) {
+      sendToGdb({ type: updated.enabled ? 'gdbEnableBreakpoint' : 'gdbDisableBreakpoint', line });
+    } else {
+      sendToGdb({ type: 'gdbAddBreakpoint', ...breakpointSpec(updated) });
+    }
+  };
+
+  // Breakpoints follow their lines as the code is edited. The editor is read-only
+  // during a GDB session, so the server's table never needs to follow.
+  const moveBreakpointsWithEdits = () => {
+    const model = editorRef.current?.getModel();
+    const ids = breakpointDecorationIdsRef.current;
+    const current = breakpointsRef.current;
+    if (!model || ids.length !== current.length) return;
+    const seen = new Set<number>();
+    let moved = false;
+    const updated = current.flatMap((breakpoint, index) => {
+      const range = model.getDecorationRange(ids[index]);
+      const line = range ? range.startLineNumber : breakpoint.line;
+      // Deleting the lines between two breakpoints leaves them on the same line
+      if (seen.has(line)) {
+        moved = true;
+        return [];
+      }
+      seen.add(line);
+      if (line === breakpoint.line) return [breakpoint];
+      moved = true;
+      return [{ ...breakpoint, line }];
+    });
+    if (moved) setBreakpoints(updated);
+  };
+
+  // The server's breakpoint table: GDB's side of each breakpoint, by line
+  const applyBreakpointTable = (table: GdbBreakpoint[]) => {
+    setBreakpoints(current => current.map(breakpoint => {
+      const resolved = table.find(entry => entry.line === breakpoint.line);
+      return {
+        ...breakpointSpec(breakpoint),
+        number: resolved?.number ?? null,
+        resolvedLine: resolved?.resolvedLine ?? null,
+        pending: resolved?.pending ?? false,
+        hitCount: resolved?.hitCount ?? 0,
+        error: resolved?.error ?? null,
+      };
+    }));
+  };
+
+  const handleGdbMessage = (message: GdbMessage) => {
+    switch (message.type) {
+      case 'gdbStep':
+        setError(null);
+        setCurrentLine(message.currentLine);
+        setVariables(message.variables);
+        setCallStack(message.callStack);
+        setWatches(message.watches);
+        applyVariableChanges(message.variableObjects, message.variableChanges);
+        setGdbStop({
+          reason: message.reason,
+          breakpointNumber: message.breakpointNumber,
+          watchpoint: message.watchpoint,
+          returnValue: message.returnValue,
+          signal: message.signal,
+        });
+        break;
+      case 'gdbComplete':
+        setCurrentLine(null);
+        setGdbStop(null);
+        setConsoleOutput(output => output + message.output + (message.reason === 'exited-signalled'
+          ? `\nProgram terminated by ${message.signal}.\n`
+          : `\nProgram exited with code ${message.exitCode ?? 0}.\n`));
+        gdbSocketRef.current?.close();
+        break;
+      case 'gdbRejected':
+        setError(message.error);
+        break;
+      case 'gdbBreakpoints':
+        applyBreakpointTable(message.breakpoints);
+        setWatchpoints(message.watchpoints);
+        break;
+      case 'gdbWatches':
+        setWatches(message.watches);
+        break;
+      case 'gdbVariableChildren':
+        setGdbChildren(current => ({
+          ...current,
+          [message.varobj]: { children: message.children, hasMore: message.hasMore },
+        }));
+        break;
+      case 'gdbBreakpointError':
+        setError(message.line === null ? `Breakpoints: ${message.error}` : `Breakpoint on line ${message.line}: ${message.error}`);
+        break;
+      case 'gdbError':
+      case 'compileError':
+        setError(message.error);
+        break;
+    }
+  };
+
+  // Runs the code under GDB, stopping at the gutter breakpoints (or at main when there are none)
+  const startGdbDebug = () => {
+    if (!code.trim()) {
+      setError('Please enter some code to debug');
+      return;
+    }
+    handleReset();
+    setConsoleOutput('Starting GDB...\n');
+    const socket = new WebSocket(API_BASE.replace(/^http/, 'ws'));
+    gdbSocketRef.current = socket;
+    setIsDebugging(true);
+    socket.onopen = () => {
+      socket.send(JSON.stringify({
+        type: 'gdbDebug',
+        code,
+        input: userInput,
+        breakpoints: breakpointsRef.current.map(breakpointSpec),
+        watches: watchesRef.current.map(watch => watch.expression),
+      }));
+    };
+    socket.onmessage = event => handleGdbMessage(JSON.parse(event.data));
+    socket.onerror = () => setError('Could not connect to the debugger');
+    socket.onclose = () => {
+      if (gdbSocketRef.current !== socket) return;
+      gdbSocketRef.current = null;
+      setIsDebugging(false);
+    };
+  };
+
+  const stopGdbDebug = () => {
+    const socket = gdbSocketRef.current;
+    gdbSocketRef.current = null;
+    socket?.close();
+    setIsDebugging(false);
+    setCurrentLine(null);
+    setGdbStop(null);
+    setWatchpoints([]);
+    setGdbVariables([]);
+    setGdbChildren({});
+    setChangedVarobjs([]);
+  };
+
+  // New values for the children already fetched; containers whose children
+  // changed are fetched again, so expanded ones stay up to date
+  const applyVariableChanges = (roots: GdbVariable[], changes: GdbVariableChange[]) => {
+    const byVarobj = new Map(changes.map(change => [change.varobj, change]));
+    const update = (variable: GdbVariable): GdbVariable => {
+      const change = byVarobj.get(variable.varobj);
+      if (!change) return variable;
+      return { ...variable, value: change.value, expandable: change.expandable ?? variable.expandable };
+    };
+    const refetch = changes.filter(change => change.childrenChanged && gdbChildrenRef.current[change.varobj]);
+    setGdbVariables(roots);
+    setChangedVarobjs(changes.map(change => change.varobj));
+    setGdbChildren(current => Object.fromEntries(Object.entries(current).map(([varobj, loaded]) => [
+      varobj,
+      { ...loaded, children: loaded.children.map(update) },
+    ])));
+    refetch.forEach(change => sendToGdb({ type: 'gdbExpandVariable', varobj: change.varobj }));
+  };
+
+  const expandVariable = (varobj: string) => {
+    sendToGdb({ type: 'gdbExpandVariable', varobj });
+  };
+
+  // The server evaluates the new list right away if the program is stopped
+  const changeWatches = (expressions: string[]) => {
+    setWatches(expressions.map(expression => watchesRef.current.find(watch => watch.expression === expression)
+      ?? { expression, value: null, error: null }));
+    sendToGdb({ type: 'gdbSetWatches', expressions });
+  };
+
+  const addWatch = () => {
+    const expression = newWatch.trim();
+    const expressions = watchesRef.current.map(watch => watch.expression);
+    if (expression && !expressions.includes(expression)) changeWatches([...expressions, expression]);
+    setNewWatch('');
+  };
+
+  // The line the editor's cursor is on, for Run to Cursor
+  const runToCursor = () => {
+    const position = editorRef.current?.getPosition();
+    if (position) sendToGdb({ type: 'gdbRunToLine', line: position.lineNumber });
+  };
+
+  const revealDiagnostic = (diagnostic: CompilerDiagnostic) => {
+    if (!editorRef.current || diagnostic.line === null) return;
+    editorRef.current.revealLineInCenter(diagnostic.line);
+    editorRef.current.setPosition({ lineNumber: diagnostic.line, column: diagnostic.column ?? 1 });
+    editorRef.current.focus();
   };
 
   const handleCodeChange = (value: string | undefined) => {
@@ -488,11 +1447,13 @@ int main() {
         },
         body: JSON.stringify({
           code: code,
-          input: userInput
+          input: userInput,
+          sanitize: useSanitizers
         }),
       });
 
       const result: ExecutionResult = await response.json();
+      setDiagnostics(result.diagnostics || []);
 
       if (!response.ok) {
         throw new Error(result.error || 'Failed to execute code');
@@ -515,6 +1476,12 @@ int main() {
         setControlFlow({});
         setIoOperations([]);
         setCurrentLine(null);
+
+        // Replay straight to the last step before a sanitizer fault
+        const faultStep = result.sanitizerReports?.[0]?.stepNumber;
+        if (faultStep) {
+          goToStep(faultStep - 1, result.executionTrace);
+        }
       }
 
     } catch (error) {
@@ -560,7 +1527,7 @@ int main() {
     }
 
     // Update control flow
-    if (step.type === 'if_condition' || step.type === 'loop_condition' || step.type === 'function_call') {
+    if (CONTROL_FLOW_STEP_TYPES.includes(step.type)) {
       setControlFlow((prev: any) => ({
         ...prev,
         [step.type]: step
@@ -580,26 +1547,28 @@ int main() {
 
   const handlePreviousStep = () => {
     if (currentStepIndex <= 0) return;
+    goToStep(currentStepIndex - 1);
+  };
 
-    const prevIndex = currentStepIndex - 1;
-    setCurrentStepIndex(prevIndex);
+  // `trace` defaults to the current result's; pass it when the result was only just set
+  const goToStep = (stepIndex: number, trace = executionResult?.executionTrace) => {
+    if (!trace) return;
+    setCurrentStepIndex(stepIndex);
 
-    if (prevIndex >= 0 && executionResult?.executionTrace) {
-      const step = executionResult.executionTrace.steps[prevIndex];
-      setCurrentLine(step.line);
+    const step = trace.steps[stepIndex];
+    setCurrentLine(step.line);
 
-      // Reconstruct state from previous steps
-      const reconstructedState = reconstructStateAtStep(prevIndex);
-      setVariables(reconstructedState.variables || {});
-      setVariableHistory(reconstructedState.variableHistory || {});
-      setCallStack(reconstructedState.callStack || []);
-      setControlFlow(reconstructedState.controlFlow || {});
-      setIoOperations(reconstructedState.ioOperations || []);
-    }
+    // Reconstruct state from the steps up to this one
+    const reconstructedState = reconstructStateAtStep(stepIndex, trace);
+    setVariables(reconstructedState.variables || {});
+    setVariableHistory(reconstructedState.variableHistory || {});
+    setCallStack(reconstructedState.callStack || []);
+    setControlFlow(reconstructedState.controlFlow || {});
+    setIoOperations(reconstructedState.ioOperations || []);
   };
 
-  const reconstructStateAtStep = (stepIndex: number) => {
-    if (!executionResult?.executionTrace) return {
+  const reconstructStateAtStep = (stepIndex: number, trace = executionResult?.executionTrace) => {
+    if (!trace) return {
       variables: {},
       variableHistory: {},
       callStack: [],
@@ -607,7 +1576,7 @@ int main() {
       ioOperations: []
     };
 
-    const steps = executionResult.executionTrace.steps.slice(0, stepIndex + 1);
+    const steps = trace.steps.slice(0, stepIndex + 1);
     const variables: Record<string, any> = {};
     const variableHistory: Record<string, any[]> = {};
     const callStack: any[] = [];
@@ -615,14 +1584,16 @@ int main() {
     const ioOperations: any[] = [];
 
     steps.forEach(step => {
+      // Each snapshot holds exactly the variables in scope, so it replaces the previous one
       if (step.variables) {
+        Object.keys(variables).forEach(name => delete variables[name]);
         Object.assign(variables, step.variables);
       }
       if ('callStack' in step && Array.isArray(step.callStack)) {
         callStack.length = 0;
         callStack.push(...step.callStack);
       }
-      if (step.type === 'if_condition' || step.type === 'loop_condition' || step.type === 'function_call') {
+      if (CONTROL_FLOW_STEP_TYPES.includes(step.type)) {
         controlFlow[step.type] = step;
       }
       if (step.type === 'input_operation' || step.type === 'output_operation') {
@@ -645,6 +1616,7 @@ int main() {
   };
 
   const handleReset = () => {
+    if (gdbSocketRef.current) stopGdbDebug();
     setIsReplayMode(false);
     setCurrentStepIndex(-1);
     setExecutionResult(null);
@@ -664,7 +1636,7 @@ int main() {
     setCurrentStepIndex(executionResult.executionTrace.steps.length - 1);
     const finalStep = executionResult.executionTrace.steps[executionResult.executionTrace.steps.length - 1];
     setCurrentLine(finalStep.line);
-    setVariables(executionResult.executionTrace.finalState.variables);
+    setVariables(finalStep.variables || {});
     setCallStack(executionResult.executionTrace.finalState.callStack);
   };
 
@@ -692,6 +1664,14 @@ int main() {
         </StatusIndicator>
       );
     }
+    if (isDebugging) {
+      return (
+        <StatusIndicator className="info">
+          <FaBug />
+          Debugging with GDB
+        </StatusIndicator>
+      );
+    }
     if (isExecuting) {
       return (
         <StatusIndicator className="info">
@@ -720,11 +1700,15 @@ int main() {
       type: step.type,
       line: step.line,
       description: step.description,
+      iteration: step.iteration,
+      totalIterations: step.totalIterations,
       totalSteps: executionResult.executionTrace.steps.length
     };
   };
 
   const stepInfo = getCurrentStepInfo();
+  const runUsage = executionResult?.usage?.run;
+  const compileUsage = executionResult?.usage?.compile;
   const progressPercentage = stepInfo ? (stepInfo.stepNumber / stepInfo.totalSteps) * 100 : 0;
 
   return (
@@ -733,6 +1717,53 @@ int main() {
         <Button onClick={executeCode} disabled={isExecuting}>
           <FaPlay /> Execute
         </Button>
+
+        <Button onClick={startGdbDebug} disabled={isExecuting} className="secondary" title="Run under GDB, stopping at the breakpoints set in the gutter">
+          <FaBug /> Debug
+        </Button>
+
+        {isDebugging && (
+          <>
+            <Button onClick={() => sendToGdb({ type: 'gdbStep' })} title="Run the current line, stepping over calls">
+              <FaStepForward /> Step
+            </Button>
+            <Button onClick={() => sendToGdb({ type: 'gdbStepInto' })} title="Follow the call on the current line">
+              <FaLevelDownAlt /> Into
+            </Button>
+            <Button onClick={() => sendToGdb({ type: 'gdbStepOut' })} title="Run until the current function returns">
+              <FaLevelUpAlt /> Out
+            </Button>
+            <Button onClick={runToCursor} title="Run until the line the cursor is on">
+              <FaICursor /> To cursor
+            </Button>
+            <Button onClick={() => sendToGdb({ type: 'gdbContinue' })}>
+              <FaFastForward /> Continue
+            </Button>
+            <Button onClick={() => sendToGdb({ type: 'gdbPause' })} className="secondary">
+              <FaPause /> Pause
+            </Button>
+          </>
+        )}
+
+        <label title="Build with AddressSanitizer and UBSan to catch out-of-bounds access and undefined behavior">
+          <input
+            type="checkbox"
+            checked={useSanitizers}
+            onChange={e => setUseSanitizers(e.target.checked)}
+          />{' '}
+          Sanitizers
+        </label>
+
+        {visualization && (
+          <VisualizationBadge
+            className={visualization.visualizable ? 'visualizable' : 'output-only'}
+            title={visualization.visualizable && !visualization.partial
+              ? 'Execute will record a step-by-step trace'
+              : `${visualization.visualizable ? 'Some functions won\'t be traced' : 'No step-by-step trace, only output'}: ${describeUnsupported(visualization)}`}
+          >
+            {visualization.visualizable ? (visualization.partial ? 'Partly visualizable' : 'Visualizable') : 'Output only'}
+          </VisualizationBadge>
+        )}
         
         {isReplayMode && (
           <>
@@ -749,7 +1780,24 @@ int main() {
           <FaStop /> Reset
         </Button>
 
-        {getStatusIndicator()}
+        <StatusArea>
+          {runUsage && (
+            <ResourceStats
+              title={[
+                `Wall time: ${formatDuration(runUsage.wallTimeMs)}`,
+                runUsage.userTimeMs !== null && runUsage.systemTimeMs !== null
+                  ? `CPU time: ${formatDuration(runUsage.userTimeMs)} user + ${formatDuration(runUsage.systemTimeMs)} system`
+                  : 'CPU time and memory weren\'t measured for this run',
+                compileUsage ? `Compile: ${formatDuration(compileUsage.wallTimeMs)}` : 'Compile: cached build'
+              ].join('\n')}
+            >
+              <span>Wall <strong>{formatDuration(runUsage.wallTimeMs)}</strong></span>
+              {runUsage.cpuTimeMs !== null && <span>CPU <strong>{formatDuration(runUsage.cpuTimeMs)}</strong></span>}
+              {runUsage.peakMemoryBytes !== null && <span>Memory <strong>{formatBytes(runUsage.peakMemoryBytes)}</strong></span>}
+            </ResourceStats>
+          )}
+          {getStatusIndicator()}
+        </StatusArea>
       </Toolbar>
       
       <MainContent>
@@ -783,6 +1831,10 @@ int main() {
                   roundedSelection: false,
                   scrollBeyondLastLine: false,
                   automaticLayout: true,
+                  glyphMargin: true,
+                  // GDB runs the code as it was when debugging started
+                  readOnly: isDebugging,
+                  readOnlyMessage: { value: 'Stop debugging to edit the code' },
                 }}
                 onMount={handleEditorMount}
               />
@@ -830,12 +1882,189 @@ int main() {
                   </ErrorDisplay>
                 )}
 
+                {diagnostics.length > 0 && (
+                  <ProblemsList>
+                    <div className="problems-title">Problems ({diagnostics.length})</div>
+                    {diagnostics.map((diagnostic, index) => (
+                      <div
+                        key={index}
+                        className={`problem ${diagnostic.severity}`}
+                        title={diagnosticHoverText(diagnostic)}
+                        onClick={() => revealDiagnostic(diagnostic)}
+                      >
+                        {diagnostic.severity === 'error' ? <FaExclamationTriangle /> : <FaInfoCircle />}
+                        <span>{diagnostic.message}</span>
+                        {diagnostic.line !== null && diagnostic.file === 'main.cpp' && (
+                          <span className="problem-location">[{diagnostic.line}:{diagnostic.column ?? 1}]</span>
+                        )}
+                      </div>
+                    ))}
+                  </ProblemsList>
+                )}
+
+                {breakpoints.length > 0 && (
+                  <BreakpointsPanel>
+                    <div className="breakpoints-title">Breakpoints ({breakpoints.length})</div>
+                    {breakpoints.map(breakpoint => (
+                      <div key={breakpoint.line} className={`breakpoint ${breakpoint.enabled ? '' : 'disabled'}`}>
+                        <input
+                          type="checkbox"
+                          checked={breakpoint.enabled}
+                          title={breakpoint.enabled ? 'Disable' : 'Enable'}
+                          onChange={e => updateBreakpoint(breakpoint.line, { enabled: e.target.checked })}
+                        />
+                        <span className="breakpoint-line" onClick={() => editorRef.current?.revealLineInCenter(breakpoint.line)}>
+                          Line {breakpoint.line}
+                        </span>
+                        <input
+                          key={breakpoint.condition}
+                          type="text"
+                          placeholder="condition, e.g. i == 3"
+                          defaultValue={breakpoint.condition}
+                          onBlur={e => {
+                            if (e.target.value.trim() !== breakpoint.condition) {
+                              updateBreakpoint(breakpoint.line, { condition: e.target.value.trim() });
+                            }
+                          }}
+                          onKeyDown={e => {
+                            if (e.key === 'Enter') e.currentTarget.blur();
+                          }}
+                        />
+                        <input
+                          type="number"
+                          min={0}
+                          title="Ignore this many hits before stopping"
+                          value={breakpoint.ignoreCount}
+                          onChange={e => updateBreakpoint(breakpoint.line, { ignoreCount: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                        />
+                        <span className={`breakpoint-status ${breakpoint.error ? 'error' : ''}`}>{describeBreakpoint(breakpoint)}</span>
+                        <button className="breakpoint-remove" title="Remove" onClick={() => toggleBreakpoint(breakpoint.line)}>
+                          <FaTimes />
+                        </button>
+                      </div>
+                    ))}
+                  </BreakpointsPanel>
+                )}
+
+                {isDebugging && gdbStop && (
+                  <TraceNotice>
+                    <FaBug />
+                    {describeStop(gdbStop, breakpoints)}
+                  </TraceNotice>
+                )}
+
+                {(isDebugging || watches.length > 0) && (
+                  <WatchPanel>
+                    <div className="breakpoints-title">Watch</div>
+                    {watches.map(watch => (
+                      <div key={watch.expression} className="breakpoint">
+                        <span className="breakpoint-line">{watch.expression}</span>
+                        <span className={`watch-value ${watch.error ? 'error' : ''}`}>
+                          {watch.error ?? watch.value ?? (isDebugging ? '' : 'evaluated when GDB stops')}
+                        </span>
+                        {isDebugging && (
+                          <button
+                            className="breakpoint-remove"
+                            title="Stop when this changes (watchpoint)"
+                            onClick={() => sendToGdb({ type: 'gdbAddWatchpoint', expression: watch.expression })}
+                          >
+                            <FaEye />
+                          </button>
+                        )}
+                        <button
+                          className="breakpoint-remove"
+                          title="Remove"
+                          onClick={() => changeWatches(watches.filter(other => other !== watch).map(other => other.expression))}
+                        >
+                          <FaTimes />
+                        </button>
+                      </div>
+                    ))}
+                    {watchpoints.map(watchpoint => (
+                      <div key={watchpoint.number} className="breakpoint">
+                        <FaEye />
+                        <span className="breakpoint-line">
+                          Stops when {watchpoint.expression} {WATCHPOINT_ACCESS[watchpoint.access]}
+                        </span>
+                        <span className="breakpoint-status">
+                          {watchpoint.hardware === null ? '' : watchpoint.hardware ? 'hardware' : 'software'}
+                          {watchpoint.hitCount > 0 && `, hit ${watchpoint.hitCount}×`}
+                        </span>
+                        <button
+                          className="breakpoint-remove"
+                          title="Remove watchpoint"
+                          onClick={() => sendToGdb({ type: 'gdbRemoveWatchpoint', number: watchpoint.number })}
+                        >
+                          <FaTimes />
+                        </button>
+                      </div>
+                    ))}
+                    <div className="watch-add">
+                      <input
+                        type="text"
+                        placeholder="Add expression, e.g. v[i] + 1"
+                        value={newWatch}
+                        onChange={e => setNewWatch(e.target.value)}
+                        onKeyDown={e => {
+                          if (e.key === 'Enter') addWatch();
+                        }}
+                      />
+                    </div>
+                  </WatchPanel>
+                )}
+
+                {sanitizerFault && (
+                  <ErrorDisplay>
+                    <div className="error-title">
+                      <FaExclamationTriangle />
+                      {sanitizerFault.tool === 'address' ? 'AddressSanitizer' : 'UndefinedBehaviorSanitizer'}: {sanitizerFault.kind}
+                      {sanitizerFault.line !== null && ` at line ${sanitizerFault.line}`}
+                    </div>
+                    <div>{sanitizerFault.message}</div>
+                    {sanitizerFault.stack.length > 0 && (
+                      <div className="error-details">
+                        {sanitizerFault.stack.map((frame, index) => (
+                          <div key={index}>{frame.function} [line {frame.line}]</div>
+                        ))}
+                      </div>
+                    )}
+                  </ErrorDisplay>
+                )}
+
+                {executionResult?.visualization && !executionResult.visualization.visualizable && (
+                  <TraceNotice>
+                    <FaInfoCircle />
+                    No step-by-step trace for this program, only its output: {describeUnsupported(executionResult.visualization)}.
+                  </TraceNotice>
+                )}
+
+                {executionResult?.visualization?.partial && (
+                  <TraceNotice>
+                    <FaInfoCircle />
+                    Partial trace: {executionResult.visualization.skippedFunctions.map(skipped => skipped.name).join(', ')}{' '}
+                    not traced because of {describeUnsupported(executionResult.visualization)}.
+                  </TraceNotice>
+                )}
+
+                {executionResult?.executionTrace?.truncated && (
+                  <TraceNotice>
+                    <FaExclamationTriangle />
+                    {describeTruncation(executionResult.executionTrace.truncated)}
+                  </TraceNotice>
+                )}
+
                 {stepInfo && (
                   <StepInfo>
                     <div><strong>Step {stepInfo.stepNumber}</strong> of {stepInfo.totalSteps}</div>
                     <div>Type: {stepInfo.type}</div>
                     <div>Line: {stepInfo.line}</div>
                     {stepInfo.description && <div>Description: {stepInfo.description}</div>}
+                    {stepInfo.iteration !== undefined && (
+                      <div>
+                        Iteration {stepInfo.iteration}
+                        {stepInfo.totalIterations !== undefined && ` of ${stepInfo.totalIterations}`}
+                      </div>
+                    )}
                     <ProgressBar>
                       <div className="progress-fill" style={{ width: `${progressPercentage}%` }}></div>
                     </ProgressBar>
@@ -843,16 +2072,26 @@ int main() {
                 )}
 
                 <h3>Variables</h3>
-                {Object.entries(variables).map(([name, value]) => (
+                {isDebugging && gdbVariables.map(variable => (
+                  <VariableDisplay key={variable.varobj}>
+                    <GdbVariableNode
+                      variable={variable}
+                      childrenOf={gdbChildren}
+                      changed={changedVarobjs}
+                      onExpand={expandVariable}
+                    />
+                  </VariableDisplay>
+                ))}
+                {!isDebugging && Object.entries(variables).map(([name, value]) => (
                   <VariableDisplay key={name}>
                     <div>
                       <span className="variable-name">{name}:</span>{' '}
-                      <span className="variable-value">{String(value)}</span>
-                      <span className="variable-type">({typeof value})</span>
+                      <VariableValue value={value} />
+                      <span className="variable-type">({Array.isArray(value) ? 'array' : typeof value})</span>
                     </div>
                     {variableHistory[name] && variableHistory[name].length > 1 && (
                       <div className="variable-history">
-                        History: {variableHistory[name].join(' → ')}
+                        History: {variableHistory[name].map(formatValue).join(' → ')}
                       </div>
                     )}
                   </VariableDisplay>
@@ -868,6 +2107,11 @@ int main() {
                             {type.split('_')[0].toUpperCase()}
                           </span>
                           <span>{(flow as any).condition || (flow as any).description || type}</span>
+                          {(flow as ExecutionStep).branch && (
+                            <span style={{ color: (flow as ExecutionStep).value ? '#4caf50' : '#f44336' }}>
+                              {String((flow as ExecutionStep).value)} → {(flow as ExecutionStep).branch}
+                            </span>
+                          )}
                         </div>
                       ))}
                     </ControlFlowPanel>
@@ -884,7 +2128,7 @@ int main() {
                           color: index === 0 ? '#0e639c' : '#d4d4d4',
                           marginBottom: '2px'
                         }}>
-                          {index === 0 ? '>' : ''} {frame.func}() [{frame.file}:{frame.line}]
+                          {index === 0 ? '>' : ''} {frame.func}() [{frame.file ? `${frame.file}:` : 'line '}{frame.line}]
                         </div>
                       ))}
                     </div>
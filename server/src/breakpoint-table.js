@@ -0,0 +1,154 @@
+const GdbConnection = require('./gdb-connection');
+
+// The breakpoints a student set in the editor, keyed by source line. They
+// belong to the WebSocket session rather than to one GDB process, so every
+// run of the code gets them again; while GDB is running they are mirrored
+// into it, and GDB's number, resolved line and hit count are recorded here.
+class BreakpointTable {
+    constructor(sourceFile) {
+        this.sourceFile = sourceFile;
+        this.breakpoints = new Map();
+    }
+
+    // Validate a requested breakpoint: { line, condition, ignoreCount, enabled }.
+    // Returns { isValid, errors, breakpoint } like CompilerProfile.validate.
+    static validate(options = {}) {
+        const errors = [];
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return { isValid: false, errors: ['Breakpoint must be an object'], breakpoint: null };
+        }
+        const { line, condition = '', ignoreCount = 0, enabled = true } = options;
+
+        if (!Number.isInteger(line) || line < 1) {
+            errors.push('line must be a positive integer');
+        }
+        if (typeof condition !== 'string' || condition.length > BreakpointTable.MAX_CONDITION_LENGTH) {
+            errors.push(`condition must be an expression of at most ${BreakpointTable.MAX_CONDITION_LENGTH} characters`);
+        } else if (/[\x00-\x1f\x7f]/.test(condition)) {
+            // A newline would end the MI command and start another one
+            errors.push('condition must be a single line');
+        }
+        if (!Number.isInteger(ignoreCount) || ignoreCount < 0) {
+            errors.push('ignoreCount must be a non-negative integer');
+        }
+        if (typeof enabled !== 'boolean') {
+            errors.push('enabled must be true or false');
+        }
+
+        if (errors.length > 0) {
+            return { isValid: false, errors, breakpoint: null };
+        }
+        return { isValid: true, errors, breakpoint: { line, condition: condition.trim(), ignoreCount, enabled } };
+    }
+
+    // Add a breakpoint, or change the one already on its line. Returns the
+    // previous entry (null for a new line) so the caller can tell GDB what changed.
+    set(breakpoint) {
+        const previous = this.breakpoints.get(breakpoint.line) || null;
+        this.breakpoints.set(breakpoint.line, {
+            ...BreakpointTable.UNRESOLVED,
+            ...(previous || {}),
+            ...breakpoint
+        });
+        return previous;
+    }
+
+    get(line) {
+        return this.breakpoints.get(line) || null;
+    }
+
+    remove(line) {
+        const breakpoint = this.get(line);
+        this.breakpoints.delete(line);
+        return breakpoint;
+    }
+
+    // Forget what the last GDB process said, before the next one starts
+    reset() {
+        for (const [line, breakpoint] of this.breakpoints) {
+            this.breakpoints.set(line, { ...breakpoint, ...BreakpointTable.UNRESOLVED });
+        }
+    }
+
+    // The table the client shows, in line order
+    table() {
+        return [...this.breakpoints.values()].sort((a, b) => a.line - b.line);
+    }
+
+    hasEnabled() {
+        return this.table().some(breakpoint => breakpoint.enabled);
+    }
+
+    // MI command creating `breakpoint` in GDB
+    insertCommand(breakpoint) {
+        const args = ['-break-insert'];
+        if (!breakpoint.enabled) args.push('-d');
+        if (breakpoint.condition) args.push('-c', GdbConnection.quote(breakpoint.condition));
+        if (breakpoint.ignoreCount > 0) args.push('-i', String(breakpoint.ignoreCount));
+        args.push(`${this.sourceFile}:${breakpoint.line}`);
+        return args.join(' ');
+    }
+
+    // MI commands turning `previous` into `breakpoint` for a breakpoint GDB already has
+    updateCommands(previous, breakpoint) {
+        const number = previous.number;
+        const commands = [];
+        if (previous.condition !== breakpoint.condition) {
+            commands.push(breakpoint.condition
+                ? `-break-condition ${number} ${GdbConnection.quote(breakpoint.condition)}`
+                : `-break-condition ${number}`);
+        }
+        if (previous.ignoreCount !== breakpoint.ignoreCount) {
+            commands.push(`-break-after ${number} ${breakpoint.ignoreCount}`);
+        }
+        if (previous.enabled !== breakpoint.enabled) {
+            commands.push(`${breakpoint.enabled ? '-break-enable' : '-break-disable'} ${number}`);
+        }
+        return commands;
+    }
+
+    deleteCommand(breakpoint) {
+        return `-break-delete ${breakpoint.number}`;
+    }
+
+    // Record GDB's reply to insertCommand: { bkpt } or { error }
+    resolve(line, reply) {
+        const breakpoint = this.get(line);
+        if (!breakpoint) return;
+        if (reply.error) {
+            Object.assign(breakpoint, { ...BreakpointTable.UNRESOLVED, error: reply.error });
+            return;
+        }
+        Object.assign(breakpoint, this.fromGdb(reply.bkpt));
+    }
+
+    // Refresh hit counts and locations from the body of a -break-list reply.
+    // GDB's own breakpoints (like the temporary one on main) aren't in the table.
+    update(body) {
+        const byNumber = new Map(body.map(bkpt => [bkpt.number, bkpt]));
+        for (const breakpoint of this.breakpoints.values()) {
+            const bkpt = breakpoint.number === null ? null : byNumber.get(String(breakpoint.number));
+            if (bkpt) Object.assign(breakpoint, this.fromGdb(bkpt));
+        }
+    }
+
+    // From GDB's bkpt tuple; a breakpoint with several locations gets the first one's line
+    fromGdb(bkpt) {
+        const line = bkpt.line || (bkpt.locations && bkpt.locations.length > 0 ? bkpt.locations[0].line : null);
+        return {
+            number: parseInt(bkpt.number, 10),
+            resolvedLine: line ? parseInt(line, 10) : null,
+            // Pending: GDB found no code for the line
+            pending: !line,
+            hitCount: parseInt(bkpt.times || '0', 10),
+            error: null
+        };
+    }
+}
+
+// GDB-side fields of a breakpoint no GDB process has seen
+BreakpointTable.UNRESOLVED = { number: null, resolvedLine: null, pending: false, hitCount: 0, error: null };
+BreakpointTable.MAX_CONDITION_LENGTH = 200;
+BreakpointTable.MAX_BREAKPOINTS = 100;
+
+module.exports = BreakpointTable;
@@ -0,0 +1,111 @@
+// Decides from the tree-sitter AST what the instrumenter can trace. Some
+// constructs only rule out the function they're in: that function is left
+// uninstrumented and the rest still gets a (partial) trace. Others, like
+// threads racing on the trace, rule out the whole program.
+class CapabilityAnalyzer {
+    constructor(codeInstrumenter) {
+        this.codeInstrumenter = codeInstrumenter;
+    }
+
+    // { visualizable, partial, unsupported: [{ construct, line, function }],
+    //   skippedFunctions: [{ name, line }] }. `function` is null for
+    // constructs that rule out the whole program.
+    analyze(code) {
+        const root = this.codeInstrumenter.parseToAST(code);
+        const unsupported = [];
+        const skipped = new Map();
+        let functionCount = 0;
+
+        // The outermost function holding the node; lambdas and local classes belong to it
+        const ownerOf = (node) => {
+            let owner = null;
+            for (let current = node; current; current = current.parent) {
+                if (current.type === 'function_definition') owner = current;
+            }
+            return owner;
+        };
+        const report = (construct, node, owner) => {
+            const line = node.startPosition.row + 1;
+            const name = owner ? this.functionName(owner) : null;
+            if (unsupported.some(found => found.construct === construct && found.line === line && found.function === name)) return;
+            unsupported.push({ construct, line, function: name });
+            if (owner && !skipped.has(owner.id)) {
+                skipped.set(owner.id, { name, line: owner.startPosition.row + 1 });
+            }
+        };
+
+        for (const error of this.codeInstrumenter.syntaxErrors(code)) {
+            const node = root.descendantForPosition({ row: error.line - 1, column: error.column - 1 });
+            report('code the visualizer cannot parse', node, ownerOf(node));
+        }
+
+        const visit = (node) => {
+            if (node.type === 'function_definition') {
+                if (ownerOf(node) === node) functionCount++;
+                const specifier = node.children.find(child =>
+                    child.type === 'type_qualifier' && (child.text === 'constexpr' || child.text === 'consteval'));
+                // Trace calls aren't allowed in constant expressions
+                if (specifier) report(`${specifier.text} function`, node, ownerOf(node));
+            }
+            if (CapabilityAnalyzer.COROUTINE_TYPES.has(node.type)) {
+                // A suspended coroutine would still look like it's on the call stack
+                report('coroutine', node, ownerOf(node));
+            }
+            const program = this.programConstruct(node);
+            if (program) report(program, node, null);
+            node.namedChildren.forEach(visit);
+        };
+        visit(root);
+
+        const wholeProgram = unsupported.some(construct => construct.function === null);
+        const skippedFunctions = [...skipped.values()];
+        const visualizable = !wholeProgram && skippedFunctions.length < functionCount;
+        return {
+            visualizable,
+            partial: visualizable && skippedFunctions.length > 0,
+            unsupported,
+            skippedFunctions
+        };
+    }
+
+    // Constructs that rule out tracing anywhere in the program
+    programConstruct(node) {
+        if (node.type === 'ERROR') return null;
+        const name = node.type === 'qualified_identifier' ? node.text.replace(/\s+/g, '') : node.text;
+        if ((node.type === 'type_identifier' || node.type === 'qualified_identifier') && CapabilityAnalyzer.THREAD_TYPES.has(name)) {
+            return 'threads';
+        }
+        if (node.type === 'call_expression') {
+            const callee = node.childForFieldName('function');
+            const called = callee ? callee.text.replace(/^std::/, '') : '';
+            if (CapabilityAnalyzer.THREAD_CALLS.has(called)) return 'threads';
+            // Skips the destructors that keep the traced call stack in order
+            if (CapabilityAnalyzer.JUMP_CALLS.has(called)) return 'non-local jump (setjmp/longjmp)';
+        }
+        return null;
+    }
+
+    // Name as the trace shows it: Class::method for methods defined in a class
+    functionName(node) {
+        let declarator = node.childForFieldName('declarator');
+        while (declarator && declarator.type !== 'function_declarator') {
+            declarator = declarator.childForFieldName('declarator') || declarator.namedChildren[0];
+        }
+        const nameNode = declarator && declarator.childForFieldName('declarator');
+        let name = nameNode ? nameNode.text : '(anonymous)';
+        for (let current = node.parent; current; current = current.parent) {
+            if ((current.type === 'class_specifier' || current.type === 'struct_specifier') && current.childForFieldName('name')) {
+                name = `${current.childForFieldName('name').text}::${name}`;
+                break;
+            }
+        }
+        return name;
+    }
+}
+
+CapabilityAnalyzer.COROUTINE_TYPES = new Set(['co_await_expression', 'co_yield_statement', 'co_return_statement']);
+CapabilityAnalyzer.THREAD_TYPES = new Set(['thread', 'jthread', 'std::thread', 'std::jthread', 'pthread_t']);
+CapabilityAnalyzer.THREAD_CALLS = new Set(['async', 'pthread_create']);
+CapabilityAnalyzer.JUMP_CALLS = new Set(['setjmp', 'longjmp', '_setjmp', '_longjmp', 'sigsetjmp', 'siglongjmp']);
+
+module.exports = CapabilityAnalyzer;
@@ -1,6 +1,28 @@
 const fs = require('fs');
 const Parser = require('tree-sitter');
 const Cpp = require('tree-sitter-cpp');
+const SourceMap = require('./source-map');
+
+// Statements directly inside these can take extra statements without braces
+const BLOCK_TYPES = new Set(['compound_statement', 'case_statement']);
+const LOOP_TYPES = new Set(['for_statement', 'for_range_loop', 'while_statement', 'do_statement']);
+const CONTROL_TYPES = new Set([...LOOP_TYPES, 'if_statement', 'else_clause', 'switch_statement']);
+const GLOBAL_TYPES = new Set(['translation_unit', 'declaration_list', 'field_declaration_list']);
+// #if/#ifdef blocks; what they contain belongs to whatever holds the directive
+const PREPROC_TYPES = new Set(['preproc_if', 'preproc_ifdef', 'preproc_else', 'preproc_elif', 'preproc_elifdef']);
+// Nodes that open a variable scope
+const SCOPE_TYPES = new Set(['compound_statement', 'function_definition', ...LOOP_TYPES]);
+// Statements that get a line step; ifs and loops report their own events
+const LINE_STEP_TYPES = new Set([
+    'expression_statement', 'declaration', 'return_statement', 'break_statement',
+    'continue_statement', 'goto_statement', 'switch_statement', 'throw_statement'
+]);
+// Log event type and loop kind reported for each instrumented loop
+const LOOP_EVENTS = {
+    for_statement: { eventType: 'FOR_LOOP', loopType: 'for' },
+    while_statement: { eventType: 'WHILE_LOOP', loopType: 'while' },
+    do_statement: { eventType: 'DO_WHILE_LOOP', loopType: 'do_while' }
+};
 
 class CodeInstrumenter {
     constructor() {
@@ -8,6 +30,9 @@ class CodeInstrumenter {
         this.variableCounter = 0;
         this.logStatements = [];
         this.instrumentedCode = '';
+        this.originalCode = '';
+        this.edits = [];
+        this.sourceMap = null;
         this.variables = new Map();
         this.functionStack = [];
         this.loopStack = [];
@@ -15,10 +40,12 @@ class CodeInstrumenter {
         this.parser.setLanguage(Cpp);
     }
 
-    instrument(code) {
+    // `skipFunctionLines`: start lines of functions to leave as they are, for a
+    // partial trace of code the rest of which can be traced
+    instrument(code, { skipFunctionLines = [] } = {}) {
         this.reset();
         // Use AST-based instrumentation only
-        const instrumentedCode = this.instrumentWithAST(code);
+        const instrumentedCode = this.instrumentWithAST(code, new Set(skipFunctionLines));
         this.instrumentedCode = instrumentedCode;
         return {
             code: this.instrumentedCode,
@@ -31,6 +58,9 @@ class CodeInstrumenter {
         this.variableCounter = 0;
         this.logStatements = [];
         this.instrumentedCode = '';
+        this.originalCode = '';
+        this.edits = [];
+        this.sourceMap = null;
         this.variables.clear();
         this.functionStack = [];
         this.loopStack = [];
@@ -128,13 +158,343 @@ class CodeInstrumenter {
         return match ? match[1] : '';
     }
 
-    // Add logging function to the code
-    addLoggingFunction() {
+    // Add logging function to the code. Trace limits can also be overridden per
+    // run through the environment variables in CodeInstrumenter.TRACE_LIMIT_ENV.
+    addLoggingFunction(limits = CodeInstrumenter.DEFAULT_TRACE_LIMITS) {
         const loggingFunction = `#include <iostream>
 #include <string>
+#include <cstdio>
+#include <cstdlib>
+#include <vector>
+#include <deque>
+#include <unordered_map>
+#include <utility>
+#include <cstring>
+
+inline long long trace_limit(const char* name, long long fallback) {
+    const char* value = std::getenv(name);
+    return value ? std::atoll(value) : fallback;
+}
+
+// The last write to a variable inside a summarized loop: where the variable
+// lives and how to serialize it, so only its final value is ever serialized,
+// and the loop iteration that made it
+struct trace_deferred_var {
+    const void* address;
+    size_t size;
+    std::string (*value)(const void*);
+    const char* name;
+    int line;
+    int scope;
+    long long frame;
+    long long iteration;
+};
+
+// A record of a summarized loop's iteration, kept in case the iteration is one
+// of the last. The frequent ones (statements, loop checks, conditions and writes
+// of small plain values) keep just their fields and are only formatted if they
+// end up in the trace; any other record is kept as its text. Plain data, so
+// keeping one is cheap: its strings live with the iteration.
+struct trace_kept_record {
+    std::string (*format)(const trace_kept_record&);
+    const std::string* text;
+    int line;
+    // Condition metadata or variable name; loop record type or the branch not taken
+    const char* meta;
+    const char* type;
+    // Loop id or else line, check number, iteration and the checked value
+    int id;
+    long long count;
+    long long iteration;
+    bool value;
+    // A written variable: where it lives, a copy of its value and how to serialize that
+    const void* address;
+    size_t size;
+    int scope;
+    long long frame;
+    const std::string* path;
+    std::string (*value_of)(const void*);
+    alignas(16) unsigned char bytes[16];
+};
+inline std::string trace_kept_text(const trace_kept_record& record) { return *record.text; }
+
+// The records of one iteration of a summarized loop, and the strings they point to
+struct trace_tail_iteration {
+    long long iteration;
+    std::vector<trace_kept_record> records;
+    std::deque<std::string> strings;
+};
+
+// A running loop. Once one of its lines goes over the per-line limit the loop is
+// summarized: the records of its last sampleIterations iterations are kept back,
+// and at exit they are written, then a LOOP_SUMMARY record stands in for the
+// iterations skipped before them, followed by the final values of the variables
+// only those wrote.
+struct trace_active_loop {
+    int id;
+    int line;
+    int scope;
+    long long frame;
+    long long iteration;
+    bool summarizing;
+    long long first_skipped;
+    std::vector<trace_deferred_var> writes;
+    // Ring of the last iterations, allocated once the loop is summarized and
+    // reused, so iterations keep their storage
+    std::vector<trace_tail_iteration> tail;
+    size_t tail_first;
+    size_t tail_count;
+};
+inline trace_tail_iteration& trace_kept_iteration(trace_active_loop& loop, size_t index) {
+    return loop.tail[(loop.tail_first + index) % loop.tail.size()];
+}
+
+struct trace_state {
+    // Trace records go to the file named by CDEBUG_TRACE_FILE (stderr if unset),
+    // so nothing the program prints can be mistaken for one
+    std::FILE* channel;
+    long long max_steps;
+    long long max_steps_per_line;
+    long long max_bytes;
+    long long sample_iterations;
+    long long steps;
+    long long bytes;
+    bool truncated;
+    // Loops on the stack that are being summarized
+    int summarizing;
+    // Set while a summarized loop's current iteration can't be kept, so no
+    // records are built at all, which keeps a hot loop fast
+    bool dropping;
+    std::unordered_map<int, long long> line_steps;
+    std::vector<trace_active_loop> loops;
+    trace_state()
+        : channel(nullptr),
+          max_steps(trace_limit("${CodeInstrumenter.TRACE_LIMIT_ENV.maxSteps}", ${limits.maxSteps})),
+          max_steps_per_line(trace_limit("${CodeInstrumenter.TRACE_LIMIT_ENV.maxStepsPerLine}", ${limits.maxStepsPerLine})),
+          max_bytes(trace_limit("${CodeInstrumenter.TRACE_LIMIT_ENV.maxTraceBytes}", ${limits.maxTraceBytes})),
+          sample_iterations(trace_limit("${CodeInstrumenter.TRACE_LIMIT_ENV.sampleIterations}", ${limits.sampleIterations})),
+          steps(0), bytes(0), truncated(false), summarizing(0), dropping(false) {
+        const char* path = std::getenv("${CodeInstrumenter.TRACE_FILE_ENV}");
+        channel = path ? std::fopen(path, "wb") : nullptr;
+        if (!channel) channel = stderr;
+    }
+};
+inline trace_state& trace_state_get() { static trace_state state; return state; }
+
+// Whether records are wanted at all; checked before building one
+inline bool trace_recording() {
+    const trace_state& state = trace_state_get();
+    return !state.truncated && !state.dropping;
+}
+inline bool trace_summarizing() { return trace_state_get().summarizing > 0; }
+
+// Each record is its length in bytes on a line of its own, then the JSON record.
+// Flushed every time, so a crash keeps everything up to it.
+inline void trace_write(const std::string& record) {
+    trace_state& state = trace_state_get();
+    std::fprintf(state.channel, "%lu\\n", static_cast<unsigned long>(record.size()));
+    std::fwrite(record.data(), 1, record.size(), state.channel);
+    std::fputc('\\n', state.channel);
+    std::fflush(state.channel);
+    state.steps++;
+    state.bytes += record.size();
+}
+
+// Past the step or byte limit the trace ends with a TRUNCATED record
+inline void trace_output(int line, const std::string& record) {
+    trace_state& state = trace_state_get();
+    if (state.truncated) return;
+    if (state.steps >= state.max_steps || state.bytes + static_cast<long long>(record.size()) > state.max_bytes) {
+        state.truncated = true;
+        trace_write("{\\"id\\":" + std::to_string(line) + ",\\"type\\":\\"TRUNCATED\\",\\"data\\":{\\"line\\":" + std::to_string(line)
+            + ",\\"reason\\":\\"" + (state.steps >= state.max_steps ? "steps" : "bytes") + "\\",\\"steps\\":" + std::to_string(state.steps)
+            + ",\\"bytes\\":" + std::to_string(state.bytes) + "}}");
+        return;
+    }
+    trace_write(record);
+}
+
+// Only one loop is summarized at a time: everything inside it is kept back
+inline trace_active_loop* trace_summarized_loop() {
+    trace_state& state = trace_state_get();
+    for (size_t i = state.loops.size(); i-- > 0;) {
+        if (state.loops[i].summarizing) return &state.loops[i];
+    }
+    return nullptr;
+}
+
+// Keep a record of the summarized loop's current iteration. An iteration with more
+// records than one line may log is dropped along with the ones before it, as the
+// iterations written at the end must run up to the loop's exit.
+inline void trace_keep(const trace_kept_record& record) {
+    trace_state& state = trace_state_get();
+    trace_active_loop* loop = trace_summarized_loop();
+    if (!loop || loop->tail_count == 0) {
+        state.dropping = true;
+        return;
+    }
+    trace_tail_iteration& kept = trace_kept_iteration(*loop, loop->tail_count - 1);
+    if (static_cast<long long>(kept.records.size()) >= state.max_steps_per_line) {
+        loop->tail_count = 0;
+        state.dropping = true;
+        return;
+    }
+    kept.records.push_back(record);
+    trace_kept_record& stored = kept.records.back();
+    if (record.text) {
+        kept.strings.push_back(*record.text);
+        stored.text = &kept.strings.back();
+    }
+    if (record.path) {
+        kept.strings.push_back(*record.path);
+        stored.path = &kept.strings.back();
+    }
+}
+
+inline void trace_emit(int line, const std::string& record) {
+    trace_state& state = trace_state_get();
+    if (!trace_recording()) return;
+    if (state.summarizing > 0) {
+        trace_kept_record kept = trace_kept_record();
+        kept.format = &trace_kept_text;
+        kept.line = line;
+        kept.text = &record;
+        trace_keep(kept);
+        return;
+    }
+    if (++state.line_steps[line] > state.max_steps_per_line) {
+        // Summarize the innermost loop that has already shown its first iterations.
+        // Marked in the trace, so a run that dies before the loop ends can be told
+        // apart from one that died right after its last record.
+        for (size_t i = state.loops.size(); i-- > 0;) {
+            trace_active_loop& loop = state.loops[i];
+            if (loop.iteration <= state.sample_iterations) continue;
+            trace_write("{\\"id\\":" + std::to_string(loop.line) + ",\\"type\\":\\"LOOP_SUMMARIZING\\",\\"data\\":{\\"loopId\\":" + std::to_string(loop.id)
+                + ",\\"line\\":" + std::to_string(loop.line) + ",\\"iteration\\":" + std::to_string(loop.iteration) + "}}");
+            loop.summarizing = true;
+            loop.first_skipped = loop.iteration;
+            loop.tail.resize(static_cast<size_t>(state.sample_iterations));
+            state.summarizing++;
+            // The rest of this iteration is skipped; keeping starts with the next
+            state.dropping = true;
+            return;
+        }
+    }
+    trace_output(line, record);
+}
+
+inline std::string trace_record(int id, const std::string& type, const std::string& data) {
+    return "{\\"id\\":" + std::to_string(id) + ",\\"type\\":\\"" + type + "\\",\\"data\\":" + data + "}";
+}
 
 void log_execution(int id, const std::string& type, const std::string& data) {
-    std::cerr << "LOG:" << id << ":" << type << ":" << data << std::endl;
+    trace_emit(id, trace_record(id, type, data));
+}
+
+// A record given by its fields: kept as it is while a loop is summarized,
+// formatted right away otherwise
+inline void trace_emit_fields(const trace_kept_record& record) {
+    if (!trace_recording()) return;
+    if (trace_summarizing()) {
+        trace_keep(record);
+    } else {
+        trace_emit(record.line, record.format(record));
+    }
+}
+
+// Where a value lives, so the parser can tell a reference or pointee from the variable it aliases
+inline std::string trace_location(const void* address, size_t size) {
+    char location[64];
+    std::snprintf(location, sizeof(location), "\\"address\\":\\"%p\\",\\"size\\":%lu", address, static_cast<unsigned long>(size));
+    return location;
+}
+
+// Scope 0 is global, so it belongs to no frame; path names the element written, if any.
+// name is the variable's identifier, which needs no escaping.
+inline std::string trace_var_record(const char* name, const std::string& value, const void* address, size_t size, int line, int scope, long long frame, const std::string& path) {
+    return trace_record(line, "TRACE_VAR", std::string("{\\"name\\":\\"") + name + "\\",\\"value\\":" + value + "," + trace_location(address, size)
+        + ",\\"line\\":" + std::to_string(line) + ",\\"scope\\":" + std::to_string(scope) + ",\\"frame\\":" + std::to_string(scope == 0 ? 0 : frame)
+        + ",\\"path\\":\\"" + path + "\\"}");
+}
+inline void trace_var(const char* name, const std::string& value, const void* address, size_t size, int line, int scope, long long frame, const std::string& path) {
+    trace_emit(line, trace_var_record(name, value, address, size, line, scope, frame, path));
+}
+inline std::string trace_var_format(const trace_kept_record& record) {
+    return trace_var_record(record.meta, record.value_of(record.bytes), record.address, record.size, record.line, record.scope, record.frame,
+        record.path ? *record.path : std::string());
+}
+
+// scope is the loop's own scope, where variables declared in its header live
+inline void trace_loop_begin(int id, int line, int scope, long long frame, long long iteration) {
+    trace_active_loop loop = { id, line, scope, frame, iteration, false, 0, {}, {}, 0, 0 };
+    trace_state_get().loops.push_back(loop);
+}
+// A summarized loop's new iteration takes the place of its oldest kept one
+inline void trace_loop_iteration(long long iteration) {
+    trace_state& state = trace_state_get();
+    if (state.loops.empty()) return;
+    trace_active_loop& loop = state.loops.back();
+    if (loop.summarizing && iteration != loop.iteration && !loop.tail.empty()) {
+        if (loop.tail_count == loop.tail.size()) {
+            loop.tail_first = (loop.tail_first + 1) % loop.tail.size();
+        } else {
+            loop.tail_count++;
+        }
+        trace_tail_iteration& kept = trace_kept_iteration(loop, loop.tail_count - 1);
+        kept.iteration = iteration;
+        kept.records.clear();
+        kept.strings.clear();
+        state.dropping = false;
+    }
+    loop.iteration = iteration;
+}
+// Remember a write made while a loop is summarized, replacing an earlier one to
+// the same address. Two variables can only share one if the earlier is gone.
+inline void trace_defer_write(const void* address, size_t size, std::string (*value)(const void*), const char* name, int line, int scope, long long frame) {
+    trace_state& state = trace_state_get();
+    for (size_t i = 0; i < state.loops.size(); ++i) {
+        trace_active_loop& loop = state.loops[i];
+        if (!loop.summarizing) continue;
+        trace_deferred_var write = { address, size, value, name, line, scope, frame, loop.iteration };
+        for (size_t j = 0; j < loop.writes.size(); ++j) {
+            if (loop.writes[j].address != address) continue;
+            loop.writes[j] = write;
+            return;
+        }
+        loop.writes.push_back(write);
+        return;
+    }
+}
+inline void trace_loop_end() {
+    trace_state& state = trace_state_get();
+    if (state.loops.empty()) return;
+    trace_active_loop loop = std::move(state.loops.back());
+    state.loops.pop_back();
+    if (!loop.summarizing) return;
+    state.summarizing--;
+    state.dropping = false;
+    // The kept iterations, then the summary of the ones skipped before them
+    long long first_kept = loop.tail_count == 0 ? loop.iteration + 1 : trace_kept_iteration(loop, 0).iteration;
+    for (size_t i = 0; i < loop.tail_count; ++i) {
+        const trace_tail_iteration& kept = trace_kept_iteration(loop, i);
+        for (size_t j = 0; j < kept.records.size(); ++j) {
+            const trace_kept_record& record = kept.records[j];
+            trace_output(record.line, record.format(record));
+        }
+    }
+    trace_output(loop.line, "{\\"id\\":" + std::to_string(loop.line) + ",\\"type\\":\\"LOOP_SUMMARY\\",\\"data\\":{\\"loopId\\":" + std::to_string(loop.id)
+        + ",\\"line\\":" + std::to_string(loop.line) + ",\\"firstSkippedIteration\\":" + std::to_string(loop.first_skipped)
+        + ",\\"skippedIterations\\":" + std::to_string(first_kept - loop.first_skipped)
+        + ",\\"lastIteration\\":" + std::to_string(loop.iteration) + "}}");
+    // Only variables that outlive the loop: globals, and the enclosing scopes
+    // of its frame, whose ids come before the loop's own. A variable the kept
+    // iterations wrote already has its final value in the trace.
+    for (size_t i = 0; i < loop.writes.size(); ++i) {
+        const trace_deferred_var& write = loop.writes[i];
+        if (write.iteration >= first_kept) continue;
+        if (write.scope != 0 && (write.frame != loop.frame || write.scope >= loop.scope)) continue;
+        trace_var(write.name, write.value(write.address), write.address, write.size, write.line, write.scope, write.frame, "");
+    }
 }`;
         return loggingFunction;
     }
@@ -143,78 +503,477 @@ void log_execution(int id, const std::string& type, const std::string& data) {
     addInstrumentationHelpers() {
         // Helper function for robust stringification
         const helperFunction = `#include <sstream>
+#include <string>
 #include <vector>
 #include <array>
+#include <deque>
+#include <list>
+#include <set>
+#include <map>
+#include <unordered_map>
+#include <unordered_set>
+#include <stack>
+#include <queue>
+#include <tuple>
 #include <type_traits>
+#include <utility>
+#include <memory>
+#include <cmath>
 
-// Fallback: for types that can be streamed to ostringstream
+// Quote a string for JSON, escaping quotes, backslashes and control characters
+inline std::string trace_json_string(const std::string& value) {
+    std::string escaped = "\\"";
+    for (size_t i = 0; i < value.size(); ++i) {
+        unsigned char c = static_cast<unsigned char>(value[i]);
+        switch (c) {
+            case '"': escaped += "\\\\\\""; break;
+            case '\\\\': escaped += "\\\\\\\\"; break;
+            case '\\n': escaped += "\\\\n"; break;
+            case '\\r': escaped += "\\\\r"; break;
+            case '\\t': escaped += "\\\\t"; break;
+            default:
+                if (c < 0x20) {
+                    char code[8];
+                    std::snprintf(code, sizeof(code), "\\\\u%04x", c);
+                    escaped += code;
+                } else {
+                    escaped += static_cast<char>(c);
+                }
+        }
+    }
+    return escaped + "\\"";
+}
+
+// Fallback: for types that can be streamed to ostringstream; only numbers stay unquoted
 template<typename T>
 auto to_string_custom(const T& value) -> decltype(std::declval<std::ostringstream&>() << value, std::string()) {
     std::ostringstream oss;
     oss << value;
+    return std::is_arithmetic<T>::value || std::is_enum<T>::value ? oss.str() : trace_json_string(oss.str());
+}
+// For fundamental types, fallback to std::to_string
+inline std::string to_string_custom(bool value) { return value ? "true" : "false"; }
+inline std::string to_string_custom(int value) { return std::to_string(value); }
+inline std::string to_string_custom(long value) { return std::to_string(value); }
+inline std::string to_string_custom(long long value) { return std::to_string(value); }
+inline std::string to_string_custom(unsigned value) { return std::to_string(value); }
+inline std::string to_string_custom(unsigned long value) { return std::to_string(value); }
+inline std::string to_string_custom(unsigned long long value) { return std::to_string(value); }
+// JSON has no nan or inf, so those are shown as strings
+inline std::string to_string_custom(float value) { return std::isfinite(value) ? std::to_string(value) : trace_json_string(std::to_string(value)); }
+inline std::string to_string_custom(double value) { return std::isfinite(value) ? std::to_string(value) : trace_json_string(std::to_string(value)); }
+inline std::string to_string_custom(long double value) { return std::isfinite(value) ? std::to_string(value) : trace_json_string(std::to_string(value)); }
+inline std::string to_string_custom(const std::string& value) { return trace_json_string(value); }
+inline std::string to_string_custom(const char* value) { return value ? trace_json_string(value) : "null"; }
+inline std::string to_string_custom(char value) { return trace_json_string(std::string(1, value)); }
+// Pointers, including array parameters, show their address
+template<typename T>
+std::string to_string_custom(T* value) {
+    std::ostringstream oss;
+    oss << "\\"" << static_cast<const void*>(value) << "\\"";
     return oss.str();
 }
-// For std::vector
+
+// STL containers become JSON arrays; maps are arrays of [key, value] pairs.
+// Declared up front so containers nested in each other find every overload.
+template<typename T, typename A> std::string to_string_custom(const std::vector<T, A>& value);
+template<typename T, size_t N> std::string to_string_custom(const std::array<T, N>& value);
+template<typename T, typename A> std::string to_string_custom(const std::deque<T, A>& value);
+template<typename T, typename A> std::string to_string_custom(const std::list<T, A>& value);
+template<typename K, typename C, typename A> std::string to_string_custom(const std::set<K, C, A>& value);
+template<typename K, typename C, typename A> std::string to_string_custom(const std::multiset<K, C, A>& value);
+template<typename K, typename H, typename E, typename A> std::string to_string_custom(const std::unordered_set<K, H, E, A>& value);
+template<typename K, typename V, typename C, typename A> std::string to_string_custom(const std::map<K, V, C, A>& value);
+template<typename K, typename V, typename C, typename A> std::string to_string_custom(const std::multimap<K, V, C, A>& value);
+template<typename K, typename V, typename H, typename E, typename A> std::string to_string_custom(const std::unordered_map<K, V, H, E, A>& value);
+template<typename F, typename S> std::string to_string_custom(const std::pair<F, S>& value);
+template<typename... Ts> std::string to_string_custom(const std::tuple<Ts...>& value);
+template<typename T, typename C> std::string to_string_custom(const std::stack<T, C>& value);
+template<typename T, typename C> std::string to_string_custom(const std::queue<T, C>& value);
+template<typename T, typename C, typename Compare> std::string to_string_custom(const std::priority_queue<T, C, Compare>& value);
+
+// Serialize any value: types without a to_string_custom overload become null
+template<typename T>
+auto trace_value(const T& value, int) -> decltype(to_string_custom(value)) {
+    return to_string_custom(value);
+}
 template<typename T>
-std::string to_string_custom(const std::vector<T>& vec) {
+std::string trace_value(const T&, long) {
+    return "null";
+}
+
+template<typename Iterator>
+std::string trace_sequence(Iterator begin, Iterator end) {
+    std::ostringstream oss;
+    oss << "[";
+    for (Iterator it = begin; it != end; ++it) {
+        if (it != begin) oss << ",";
+        oss << trace_value(*it, 0);
+    }
+    oss << "]";
+    return oss.str();
+}
+template<typename T, typename A>
+std::string to_string_custom(const std::vector<T, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename T, size_t N>
+std::string to_string_custom(const std::array<T, N>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename T, typename A>
+std::string to_string_custom(const std::deque<T, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename T, typename A>
+std::string to_string_custom(const std::list<T, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename K, typename C, typename A>
+std::string to_string_custom(const std::set<K, C, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename K, typename C, typename A>
+std::string to_string_custom(const std::multiset<K, C, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename K, typename H, typename E, typename A>
+std::string to_string_custom(const std::unordered_set<K, H, E, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename K, typename V, typename C, typename A>
+std::string to_string_custom(const std::map<K, V, C, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename K, typename V, typename C, typename A>
+std::string to_string_custom(const std::multimap<K, V, C, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename K, typename V, typename H, typename E, typename A>
+std::string to_string_custom(const std::unordered_map<K, V, H, E, A>& value) { return trace_sequence(value.begin(), value.end()); }
+template<typename F, typename S>
+std::string to_string_custom(const std::pair<F, S>& value) {
+    return "[" + trace_value(value.first, 0) + "," + trace_value(value.second, 0) + "]";
+}
+template<size_t I, typename... Ts>
+typename std::enable_if<(I == sizeof...(Ts))>::type trace_tuple(std::ostringstream&, const std::tuple<Ts...>&) {}
+template<size_t I, typename... Ts>
+typename std::enable_if<(I < sizeof...(Ts))>::type trace_tuple(std::ostringstream& oss, const std::tuple<Ts...>& value) {
+    if (I > 0) oss << ",";
+    oss << trace_value(std::get<I>(value), 0);
+    trace_tuple<I + 1>(oss, value);
+}
+template<typename... Ts>
+std::string to_string_custom(const std::tuple<Ts...>& value) {
+    std::ostringstream oss;
+    oss << "[";
+    trace_tuple<0>(oss, value);
+    oss << "]";
+    return oss.str();
+}
+// Stacks and queues keep their elements in a protected member; a derived type can reach it
+template<typename Adaptor>
+struct trace_adaptor : Adaptor {
+    static const typename Adaptor::container_type& items(const Adaptor& adaptor) {
+        return adaptor.*(&trace_adaptor::c);
+    }
+};
+// Bottom to top
+template<typename T, typename C>
+std::string to_string_custom(const std::stack<T, C>& value) {
+    const C& items = trace_adaptor<std::stack<T, C> >::items(value);
+    return trace_sequence(items.begin(), items.end());
+}
+// Front to back
+template<typename T, typename C>
+std::string to_string_custom(const std::queue<T, C>& value) {
+    const C& items = trace_adaptor<std::queue<T, C> >::items(value);
+    return trace_sequence(items.begin(), items.end());
+}
+// In the order top() would hand the elements out
+template<typename T, typename C, typename Compare>
+std::string to_string_custom(const std::priority_queue<T, C, Compare>& value) {
+    std::priority_queue<T, C, Compare> copy(value);
     std::ostringstream oss;
     oss << "[";
-    for (size_t i = 0; i < vec.size(); ++i) {
-        oss << to_string_custom(vec[i]);
-        if (i + 1 < vec.size()) oss << ",";
+    for (bool first = true; !copy.empty(); first = false) {
+        if (!first) oss << ",";
+        oss << trace_value(copy.top(), 0);
+        copy.pop();
     }
     oss << "]";
     return oss.str();
 }
-// For std::array
+
+// C arrays are shown element by element, char arrays as the string they hold
 template<typename T, size_t N>
-std::string to_string_custom(const std::array<T, N>& arr) {
+std::string trace_value(const T (&values)[N], int) {
     std::ostringstream oss;
     oss << "[";
     for (size_t i = 0; i < N; ++i) {
-        oss << to_string_custom(arr[i]);
+        oss << trace_value(values[i], 0);
         if (i + 1 < N) oss << ",";
     }
     oss << "]";
     return oss.str();
 }
-// For fundamental types, fallback to std::to_string
-inline std::string to_string_custom(int value) { return std::to_string(value); }
-inline std::string to_string_custom(long value) { return std::to_string(value); }
-inline std::string to_string_custom(long long value) { return std::to_string(value); }
-inline std::string to_string_custom(unsigned value) { return std::to_string(value); }
-inline std::string to_string_custom(unsigned long value) { return std::to_string(value); }
-inline std::string to_string_custom(unsigned long long value) { return std::to_string(value); }
-inline std::string to_string_custom(float value) { return std::to_string(value); }
-inline std::string to_string_custom(double value) { return std::to_string(value); }
-inline std::string to_string_custom(long double value) { return std::to_string(value); }
-inline std::string to_string_custom(const std::string& value) { return "\"" + value + "\""; }
-inline std::string to_string_custom(const char* value) { return "\"" + std::string(value) + "\""; }
-inline std::string to_string_custom(char value) { return "\"" + std::string(1, value) + "\""; }
+template<size_t N>
+std::string trace_value(const char (&value)[N], int) {
+    size_t length = 0;
+    while (length < N && value[length] != '\\0') ++length;
+    return to_string_custom(std::string(value, length));
+}
+
+// "[i]" for an element path, escaped to sit inside a JSON string
+template<typename T>
+std::string trace_index(const T& index) {
+    std::string escaped;
+    for (char c : trace_value(index, 0)) {
+        if (c == '"' || c == '\\\\') escaped += '\\\\';
+        escaped += c;
+    }
+    return "[" + escaped + "]";
+}
+
+// Log that the statement starting on this line is about to run
+inline std::string trace_line_format(const trace_kept_record& record) {
+    return trace_record(record.line, "LINE", "{\\"line\\":" + std::to_string(record.line) + "}");
+}
+inline void trace_line(int line) {
+    if (!trace_recording()) return;
+    trace_kept_record record = trace_kept_record();
+    record.format = &trace_line_format;
+    record.line = line;
+    trace_emit_fields(record);
+}
+
+// Log an if condition and the branch it selects, then hand the value back to the if
+inline std::string trace_if_format(const trace_kept_record& record) {
+    std::ostringstream oss;
+    oss << "{" << record.meta << ",\\"line\\":" << record.line << ",\\"value\\":" << (record.value ? "true" : "false")
+        << ",\\"branch\\":\\"" << (record.value ? "then" : record.type) << "\\"}";
+    return trace_record(record.line, "IF_CONDITION", oss.str());
+}
+inline std::string trace_else_format(const trace_kept_record& record) {
+    return trace_record(record.line, "ELSE_BRANCH", "{\\"line\\":" + std::to_string(record.line) + "}");
+}
+inline bool trace_if(int line, const char* meta, bool value, const char* alternative, int else_line) {
+    if (!trace_recording()) return value;
+    trace_kept_record record = trace_kept_record();
+    record.format = &trace_if_format;
+    record.line = line;
+    record.meta = meta;
+    record.type = alternative;
+    record.value = value;
+    trace_emit_fields(record);
+    if (!value && else_line > 0) {
+        record.format = &trace_else_format;
+        record.line = else_line;
+        trace_emit_fields(record);
+    }
+    return value;
+}
+
+// Frame id of the innermost running instrumented function, 0 outside any
+inline long long& trace_current_frame() { static long long frame = 0; return frame; }
+
+// Declared at the top of a block that declares traced variables; logs when the block is left
+struct trace_scope_guard {
+    int id;
+    int end_line;
+    trace_scope_guard(int id, int end_line) : id(id), end_line(end_line) {}
+    ~trace_scope_guard() {
+        if (!trace_recording()) return;
+        std::ostringstream oss;
+        oss << "{\\"scope\\":" << id << ",\\"frame\\":" << trace_current_frame() << ",\\"line\\":" << end_line << "}";
+        log_execution(end_line, "SCOPE_EXIT", oss.str());
+    }
+};
+
+inline std::string trace_check_format(const trace_kept_record& record) {
+    std::ostringstream oss;
+    oss << "{" << record.meta << ",\\"loopId\\":" << record.id << ",\\"line\\":" << record.line << ",\\"check\\":" << record.count
+        << ",\\"iteration\\":" << record.iteration << ",\\"value\\":" << (record.value ? "true" : "false") << "}";
+    return trace_record(record.line, record.type, oss.str());
+}
+
+// Lives in a block wrapped around one loop: logs entry, every condition check,
+// and from the destructor the exit, whether by condition, break or return
+struct trace_loop_guard {
+    int id;
+    int line;
+    int scope;
+    const char* type;
+    const char* meta;
+    long long iteration;
+    long long checks = 0;
+    bool condition_failed = false;
+    trace_loop_guard(int id, int line, int scope, const char* type, const char* meta, bool body_first)
+        : id(id), line(line), scope(scope), type(type), meta(meta), iteration(body_first ? 1 : 0) {
+        if (trace_recording()) {
+            std::ostringstream oss;
+            oss << "{" << meta << ",\\"loopId\\":" << id << ",\\"line\\":" << line << ",\\"iteration\\":" << iteration << "}";
+            log_execution(line, "LOOP_ENTER", oss.str());
+        }
+        trace_loop_begin(id, line, scope, trace_current_frame(), iteration);
+    }
+    bool check(int check_line, bool value) {
+        ++checks;
+        if (value) ++iteration; else condition_failed = true;
+        trace_loop_iteration(iteration);
+        if (!trace_recording()) return value;
+        trace_kept_record record = trace_kept_record();
+        record.format = &trace_check_format;
+        record.line = check_line;
+        record.meta = meta;
+        record.type = type;
+        record.id = id;
+        record.count = checks;
+        record.iteration = iteration;
+        record.value = value;
+        trace_emit_fields(record);
+        return value;
+    }
+    ~trace_loop_guard() {
+        trace_loop_end();
+        if (!trace_recording()) return;
+        std::ostringstream oss;
+        oss << "{\\"loopId\\":" << id << ",\\"line\\":" << line << ",\\"iterations\\":" << iteration
+            << ",\\"reason\\":\\"" << (condition_failed ? "condition" : "break") << "\\""
+            << ",\\"scope\\":" << scope << ",\\"frame\\":" << trace_current_frame() << "}";
+        log_execution(line, "LOOP_EXIT", oss.str());
+    }
+};
+
+// Frame ids and call depth shared by every instrumented function
+inline long long& trace_frame_counter() { static long long counter = 0; return counter; }
+inline int& trace_call_depth() { static int depth = 0; return depth; }
+
+// Declared first in every instrumented function body: logs entry with the
+// parameter values and, from the destructor, exit with the return value
+struct trace_function_guard {
+    long long frame;
+    long long caller_frame;
+    int depth;
+    int exit_line;
+    const char* meta;
+    std::string return_value;
+    trace_function_guard(int line, int end_line, const char* meta, const std::string& parameters)
+        : frame(++trace_frame_counter()), caller_frame(trace_current_frame()), depth(++trace_call_depth()),
+          exit_line(end_line), meta(meta), return_value("null") {
+        trace_current_frame() = frame;
+        if (!trace_recording()) return;
+        std::ostringstream oss;
+        oss << "{" << meta << ",\\"frameId\\":" << frame << ",\\"depth\\":" << depth << ",\\"line\\":" << line
+            << ",\\"parameters\\":" << parameters << "}";
+        log_execution(line, "FUNCTION_ENTER", oss.str());
+    }
+    template<typename T>
+    void record_return(const T& value) {
+        if (trace_recording()) return_value = trace_value(value, 0);
+    }
+    template<typename T>
+    T&& returned(T&& value) {
+        record_return(value);
+        return std::forward<T>(value);
+    }
+    ~trace_function_guard() {
+        if (trace_recording()) {
+            std::ostringstream oss;
+            oss << "{" << meta << ",\\"frameId\\":" << frame << ",\\"depth\\":" << depth << ",\\"line\\":" << exit_line
+                << ",\\"returnValue\\":" << return_value << "}";
+            log_execution(exit_line, "FUNCTION_EXIT", oss.str());
+        }
+        --trace_call_depth();
+        trace_current_frame() = caller_frame;
+    }
+};
+
+// Serializes a variable remembered by trace_defer_write
+template<typename T>
+std::string trace_deferred_value(const void* address) {
+    return trace_value(*static_cast<const T*>(address), 0);
+}
+template<typename T>
+void trace_defer(const T& value, const char* name, int line, int scope) {
+    trace_defer_write(std::addressof(value), sizeof(T), &trace_deferred_value<T>, name, line, scope, trace_current_frame());
+}
+
+inline bool trace_path_empty(const char* path) { return *path == '\\0'; }
+inline bool trace_path_empty(const std::string& path) { return path.empty(); }
+
+// A write in a summarized loop's iteration: a small plain value is kept as a copy
+// and serialized only if the iteration turns out to be one of the last
+template<typename T, typename P>
+void trace_keep_var(const T& value, const char* name, int line, int scope, const P& path, std::true_type) {
+    trace_kept_record record = trace_kept_record();
+    record.format = &trace_var_format;
+    record.line = line;
+    record.meta = name;
+    record.address = std::addressof(value);
+    record.size = sizeof(T);
+    record.scope = scope;
+    record.frame = trace_current_frame();
+    record.value_of = &trace_deferred_value<T>;
+    std::memcpy(record.bytes, std::addressof(value), sizeof(T));
+    if (trace_path_empty(path)) {
+        trace_keep(record);
+        return;
+    }
+    const std::string text(path);
+    record.path = &text;
+    trace_keep(record);
+}
+template<typename T, typename P>
+void trace_keep_var(const T& value, const char* name, int line, int scope, const P& path, std::false_type) {
+    trace_var(name, trace_value(value, 0), std::addressof(value), sizeof(T), line, scope, trace_current_frame(), path);
+}
+template<typename T, typename P>
+void trace_write_var(const T& value, const char* name, int line, int scope, const P& path) {
+    if (trace_summarizing()) {
+        trace_keep_var(value, name, line, scope, path, std::integral_constant<bool,
+            std::is_trivially_copyable<T>::value && sizeof(T) <= sizeof(trace_kept_record::bytes)>());
+    } else {
+        trace_var(name, trace_value(value, 0), std::addressof(value), sizeof(T), line, scope, trace_current_frame(), path);
+    }
+}
+
+// A write through a pointer (or iterator), p->x = 1 or *p = 1: logs what it points
+// to and where, for the parser to update whichever variable lives there. Not
+// deferred in summarized loops, as the object may be gone by the time they end.
+template<typename T>
+bool trace_dereferenceable(T* pointer) { return pointer != nullptr; }
+template<typename P>
+bool trace_dereferenceable(const P&) { return true; }
+template<typename P>
+void trace_deref(const char* name, const P& pointer, int line, int scope, long long frame, const std::string& path) {
+    if (!trace_dereferenceable(pointer)) return;
+    const auto& value = *pointer;
+    log_execution(line, "TRACE_POINTEE", std::string("{\\"pointer\\":\\"") + name + "\\",\\"value\\":" + trace_value(value, 0) + ","
+        + trace_location(std::addressof(value), sizeof(value)) + ",\\"line\\":" + std::to_string(line) + ",\\"scope\\":" + std::to_string(scope)
+        + ",\\"frame\\":" + std::to_string(scope == 0 ? 0 : frame) + ",\\"path\\":\\"" + path + "\\"}");
+}
 `;
-        // Block macro using ostringstream with properly escaped quotes
-        const macro = `#define TRACE_VAR(x, line) do { \
-    std::ostringstream oss; \
-    oss << "{\\\"name\\\":\\\"" << #x << "\\\",\\\"value\\\":" << to_string_custom(x) << ",\\\"line\\\":" << line << "}"; \
-    log_execution(line, "TRACE_VAR", oss.str()); \
+        // Inside a summarized loop the write is also remembered, for its final value
+        // in case no kept iteration writes the variable again
+        const macro = `#define TRACE_VAR(x, line, scope, path) do { \
+    if (trace_recording()) trace_write_var(x, #x, line, scope, path); \
+    if (trace_summarizing()) trace_defer(x, #x, line, scope); \
+} while(0)
+#define TRACE_DEREF(p, line, scope, path) do { \
+    if (trace_recording()) trace_deref(#p, p, line, scope, trace_current_frame(), path); \
+} while(0)
+// Declared without an initializer: objects and containers are default-constructed and
+// can be shown right away; anything else holds an indeterminate value until written
+#define TRACE_DECL(x, line, scope) do { \
+    if (std::is_class<typename std::remove_all_extents<decltype(x)>::type>::value) TRACE_VAR(x, line, scope, ""); \
 } while(0)`;
         return helperFunction + '\n' + macro;
     }
 
-    // Get the complete instrumented code with helpers and logging function
+    // Get the complete instrumented code with helpers and logging function.
+    // Also builds this.sourceMap from it back to the original code.
     getCompleteInstrumentedCode() {
         // Find the last include statement to insert helpers after it
-        const lines = this.instrumentedCode.split('\n');
+        const lines = this.originalCode.split('\n');
         let insertIndex = 0;
         for (let i = 0; i < lines.length; i++) {
             if (lines[i].trim().startsWith('#include')) {
                 insertIndex = i + 1;
             }
         }
-        // Insert helpers and logging function after includes
-        const beforeIncludes = lines.slice(0, insertIndex);
-        const afterIncludes = lines.slice(insertIndex);
-        return beforeIncludes.join('\n') + '\n' + this.addInstrumentationHelpers() + '\n' + this.addLoggingFunction() + '\n' + afterIncludes.join('\n');
+        // Insert logging function and helpers after includes; the helpers call log_execution
+        const helpers = this.addLoggingFunction() + '\n' + this.addInstrumentationHelpers() + '\n';
+        const helperEdit = insertIndex < lines.length
+            ? { index: lines.slice(0, insertIndex).join('\n').length + (insertIndex > 0 ? 1 : 0), text: helpers }
+            : { index: this.originalCode.length, text: '\n' + helpers };
+        // Ahead of any instrumentation at the same spot
+        const segments = [];
+        const completeCode = this.applyEdits(this.originalCode, [...this.edits, { ...helperEdit, kind: 'open', depth: -1 }], segments);
+        this.sourceMap = new SourceMap(this.originalCode, completeCode, segments);
+        return completeCode;
     }
 
     parseToAST(code) {
@@ -222,68 +981,594 @@ inline std::string to_string_custom(char value) { return "\"" + std::string(1, v
         return this.parser.parse(code).rootNode;
     }
 
-    instrumentWithAST(code) {
+    // Places tree-sitter couldn't parse: ERROR nodes (outermost only) and
+    // tokens it had to assume were there. Code with any of them can't be
+    // instrumented reliably, even when the compiler accepts it.
+    syntaxErrors(code) {
+        const errors = [];
+        const visit = (node) => {
+            if (node.type === 'ERROR' || node.isMissing) {
+                const text = node.text.split('\n')[0].trim();
+                errors.push({
+                    line: node.startPosition.row + 1,
+                    column: node.startPosition.column + 1,
+                    endLine: node.endPosition.row + 1,
+                    endColumn: node.endPosition.column + 1,
+                    message: node.isMissing
+                        ? `Missing '${node.type}'`
+                        : `Unexpected ${text ? `'${text.length > 40 ? `${text.slice(0, 40)}...` : text}'` : 'input'}`
+                });
+                return;
+            }
+            if (node.hasError) node.children.forEach(visit);
+        };
+        visit(this.parseToAST(code));
+        return errors;
+    }
+
+    // C++ raw string literal, so condition text and JSON need no escaping
+    rawStringLiteral(text) {
+        return `R"__trace(${text})__trace"`;
+    }
+
+    // Apply inline edits without adding or removing newlines, so every
+    // original line keeps its line number in the instrumented code.
+    // At the same index closing text goes first (innermost node first),
+    // then opening text (outermost node first).
+    // Copied stretches are recorded in segments, if given, for a SourceMap.
+    applyEdits(code, edits, segments = null) {
+        const sorted = [...edits].sort((a, b) => {
+            if (a.index !== b.index) return a.index - b.index;
+            if (a.kind !== b.kind) return a.kind === 'close' ? -1 : 1;
+            return a.kind === 'close' ? b.depth - a.depth : a.depth - b.depth;
+        });
+        let result = '';
+        let cursor = 0;
+        const copy = (end) => {
+            if (segments && end > cursor) {
+                segments.push({ generatedStart: result.length, originalStart: cursor, length: end - cursor });
+            }
+            result += code.slice(cursor, end);
+        };
+        for (const edit of sorted) {
+            copy(edit.index);
+            result += edit.text;
+            cursor = edit.index;
+        }
+        copy(code.length);
+        return result;
+    }
+
+    instrumentWithAST(code, skipFunctionLines = new Set()) {
         const ast = this.parseToAST(code);
-        const lines = code.split('\n');
-        const insertions = [];
+        const edits = [];
+        // Text to insert around whole statements, keyed by node id so a
+        // statement that needs braces is only wrapped once
+        const statementEdits = new Map();
+        // Variables already traced at a loop body start, as `${loopId}:${name}`
+        const loopHeaderTraces = new Set();
+        let loopCount = 0;
+        // function_definition id -> { returnsVoid } for every function given a trace_frame
+        const tracedFunctions = new Map();
+        const rawStringLiteral = (text) => this.rawStringLiteral(text);
+
+        // Class/struct name -> names of its non-static data members
+        const typeMembers = new Map();
+        for (const type of ast.descendantsOfType(['struct_specifier', 'class_specifier'])) {
+            const name = type.childForFieldName('name');
+            const body = type.childForFieldName('body');
+            if (!name || !body) continue;
+            const members = [];
+            for (const field of body.namedChildren) {
+                if (field.type !== 'field_declaration') continue;
+                if (field.children.some(child => child.type === 'storage_class_specifier' && child.text === 'static')) continue;
+                for (const declarator of field.childrenForFieldName('declarator')) {
+                    const member = memberName(declarator);
+                    if (member) members.push(member);
+                }
+            }
+            typeMembers.set(typeName(name), members);
+        }
 
-        // Scope stack: each scope is a Map of variable names to metadata
-        const scopeStack = [new Map()];
+        // Scope stack: each scope has an id and a Map of variable names to metadata.
+        // Scope 0 holds globals; names found nowhere (members, externs) resolve to it too.
+        const scopeStack = [{ id: 0, variables: new Map() }];
+        let scopeCount = 0;
 
         function enterScope() {
-            scopeStack.push(new Map());
+            scopeStack.push({ id: ++scopeCount, variables: new Map() });
         }
         function exitScope() {
-            scopeStack.pop();
+            return scopeStack.pop();
         }
         function declareVar(name, meta) {
-            scopeStack[scopeStack.length - 1].set(name, meta);
+            scopeStack[scopeStack.length - 1].variables.set(name, meta);
         }
-        function assignVar(name, meta) {
+        // Id of the scope a name refers to from the current position
+        function resolveScope(name) {
             for (let i = scopeStack.length - 1; i >= 0; i--) {
-                if (scopeStack[i].has(name)) {
-                    scopeStack[i].set(name, meta);
-                    return;
+                if (scopeStack[i].variables.has(name)) {
+                    return scopeStack[i].id;
+                }
+            }
+            return 0;
+        }
+        function isDeclared(name) {
+            return scopeStack.some(scope => scope.variables.has(name));
+        }
+        function currentScopeId() {
+            return scopeStack[scopeStack.length - 1].id;
+        }
+        function lineOf(node) {
+            return node.startPosition.row + 1;
+        }
+        function depthOf(node) {
+            let depth = 0;
+            for (let current = node.parent; current; current = current.parent) depth++;
+            return depth;
+        }
+        function declaratorName(declarator) {
+            // int arr[3], int *p, int &r: the traced name is the inner identifier
+            let current = declarator;
+            while (current && current.type !== 'identifier') {
+                current = current.childForFieldName('declarator') || current.namedChildren[0];
+            }
+            return current ? current.text : null;
+        }
+        // int x, y[2], *p: the member name; null for method declarations
+        function memberName(declarator) {
+            let current = declarator;
+            while (current && current.type !== 'field_identifier') {
+                if (current.type === 'function_declarator') return null;
+                current = current.childForFieldName('declarator') || current.namedChildren[0];
+            }
+            return current ? current.text : null;
+        }
+        // Pair<int> is still Pair inside its own body
+        function typeName(nameNode) {
+            return nameNode.type === 'template_type' ? nameNode.childForFieldName('name').text : nameNode.text;
+        }
+        // Data members of the class whose method holds node, if any
+        function enclosingMembers(node) {
+            let current = node.parent;
+            while (current && current.type !== 'function_definition') current = current.parent;
+            if (!current) return [];
+            let type = current.parent;
+            while (type && type.type === 'template_declaration') type = type.parent;
+            if (type && type.type === 'field_declaration_list') {
+                const name = type.parent.childForFieldName('name');
+                return (name && typeMembers.get(typeName(name))) || [];
+            }
+            // Out of line: void Point::move()
+            const declarator = functionDeclarator(current);
+            const qualified = declarator && declarator.childForFieldName('declarator');
+            if (qualified && qualified.type === 'qualified_identifier') {
+                const scope = qualified.childForFieldName('scope');
+                return (scope && typeMembers.get(typeName(scope))) || [];
+            }
+            return [];
+        }
+        function enclosing(node) {
+            let parent = node.parent;
+            while (parent && PREPROC_TYPES.has(parent.type)) parent = parent.parent;
+            return parent;
+        }
+        function isBodyOf(parent, child) {
+            if (parent.type === 'else_clause') return true;
+            const body = parent.childForFieldName('body') || parent.childForFieldName('consequence');
+            return !!body && body.id === child.id;
+        }
+        // Find where code may be inserted for a node: the statement holding it,
+        // or the loop whose header holds it. Returns {} for global scope and
+        // if/switch conditions, which are left alone.
+        function statementContext(node) {
+            let current = node;
+            while (enclosing(current)) {
+                const parent = enclosing(current);
+                if (BLOCK_TYPES.has(parent.type) || (CONTROL_TYPES.has(parent.type) && isBodyOf(parent, current))) {
+                    return { statement: current };
+                }
+                if (LOOP_TYPES.has(parent.type)) return { loop: parent };
+                if (CONTROL_TYPES.has(parent.type) || GLOBAL_TYPES.has(parent.type)) return {};
+                current = parent;
+            }
+            return {};
+        }
+        function statementEntry(statement) {
+            if (!statementEdits.has(statement.id)) {
+                statementEdits.set(statement.id, { node: statement, before: [], after: [] });
+            }
+            return statementEdits.get(statement.id);
+        }
+        function insertAfter(statement, text) {
+            statementEntry(statement).after.push(text);
+        }
+        function insertAtBodyStart(body, text) {
+            if (body.type === 'compound_statement') {
+                edits.push({ index: body.startIndex + 1, text: ` ${text}`, kind: 'open', depth: depthOf(body) });
+            } else {
+                statementEntry(body).before.push(text);
+            }
+        }
+        // arr[i].x = 3 writes to arr: find the owning variable and a C++ expression for the
+        // element path below it. p->x = 3 and *p = 3 write to whatever p points at, so
+        // they give the pointer variable with `pointer` set. Calls and the like give null.
+        function writeTarget(node) {
+            const segments = [];
+            let current = node;
+            let pointer = false;
+            while (current.type !== 'identifier') {
+                if (pointer) return null;
+                if (current.type === 'subscript_expression') {
+                    const indices = current.childForFieldName('indices');
+                    if (!indices) return null;
+                    const index = indices.namedChildren.length === 1 ? indices.namedChildren[0] : null;
+                    // A plain variable index is worth reading back; anything else is shown as written
+                    segments.unshift(index && index.type === 'identifier' ? { index: index.text } : { text: indices.text });
+                } else if (current.type === 'field_expression') {
+                    const operator = current.childForFieldName('operator').text;
+                    segments.unshift({ text: `${operator}${current.childForFieldName('field').text}` });
+                    pointer = operator === '->';
+                } else if (current.type === 'pointer_expression' && current.childForFieldName('operator').text === '*') {
+                    pointer = true;
+                } else {
+                    return null;
+                }
+                current = current.childForFieldName('argument');
+            }
+
+            const pieces = [];
+            for (const segment of segments) {
+                const last = pieces[pieces.length - 1];
+                if (segment.index) pieces.push({ code: `trace_index(${segment.index})` });
+                else if (last && last.text !== undefined) last.text += segment.text;
+                else pieces.push({ text: segment.text });
+            }
+            const code = pieces.map(piece => piece.code || rawStringLiteral(JSON.stringify(piece.text).slice(1, -1)));
+            let path = '""';
+            if (code.length === 1) path = code[0];
+            if (code.length > 1) path = `std::string(${code[0]}) + ${code.slice(1).join(' + ')}`;
+            return { name: current.text, path, pointer };
+        }
+        function traceWrite(node, target) {
+            if (!target) return;
+            const varName = target.name;
+            // A member written inside a method is not a global of the same name
+            if (resolveScope(varName) === 0 && enclosingMembers(node).includes(varName)) return;
+            const macro = target.pointer
+                ? `TRACE_DEREF(${varName}, ${lineOf(node)}, ${resolveScope(varName)}, ${target.path});`
+                : `${target.declaration ? 'TRACE_DECL' : 'TRACE_VAR'}(${varName}, ${lineOf(node)}, ${resolveScope(varName)}${target.declaration ? '' : `, ${target.path}`});`;
+            const context = statementContext(node);
+            if (context.statement) {
+                insertAfter(context.statement, macro);
+            } else if (context.loop) {
+                // for (int i = 0; ...; i = i + 1) only needs i traced once per iteration
+                const key = `${context.loop.id}:${target.pointer ? '*' : ''}${varName}`;
+                if (loopHeaderTraces.has(key)) return;
+                loopHeaderTraces.add(key);
+                insertAtBodyStart(context.loop.childForFieldName('body'), macro);
+            }
+        }
+        function traceIf(node) {
+            // if constexpr must stay a constant expression
+            if (node.children.some(child => child.type === 'constexpr')) return;
+            const condition = node.childForFieldName('condition');
+            const value = condition && condition.childForFieldName('value');
+            if (!value || value.type === 'declaration') return;
+
+            // Walk up an else-if chain to the leading if
+            let head = node;
+            let chainIndex = 0;
+            while (head.parent && head.parent.type === 'else_clause') {
+                head = head.parent.parent;
+                chainIndex++;
+            }
+
+            const alternative = node.childForFieldName('alternative');
+            const elseBody = alternative && alternative.namedChildren.find(child => child.type !== 'comment');
+            let alternativeKind = 'none';
+            let elseLine = 0;
+            if (elseBody) {
+                alternativeKind = elseBody.type === 'if_statement' ? 'else_if' : 'else';
+                if (alternativeKind === 'else') elseLine = lineOf(alternative);
+            }
+
+            const meta = JSON.stringify({
+                condition: value.text,
+                chainLine: lineOf(head),
+                chainIndex
+            }).slice(1, -1);
+            const depth = depthOf(value);
+            edits.push({
+                index: value.startIndex,
+                text: `trace_if(${lineOf(node)}, ${rawStringLiteral(meta)}, static_cast<bool>((`,
+                kind: 'open',
+                depth
+            });
+            edits.push({
+                index: value.endIndex,
+                text: `)), "${alternativeKind}", ${elseLine})`,
+                kind: 'close',
+                depth
+            });
+        }
+        function traceLoop(node) {
+            let condition;
+            if (node.type === 'for_statement') {
+                condition = node.childForFieldName('condition');
+            } else if (node.type === 'while_statement') {
+                condition = node.childForFieldName('condition').childForFieldName('value');
+            } else {
+                condition = node.childForFieldName('condition').namedChildren.find(child => child.type !== 'comment');
+            }
+            // while (T x = ...) declares a variable; it can't be wrapped in a call
+            if (condition && condition.type === 'declaration') return;
+
+            const loopId = ++loopCount;
+            const guard = `trace_loop_${loopId}`;
+            const { eventType, loopType } = LOOP_EVENTS[node.type];
+            const meta = JSON.stringify({
+                condition: condition ? condition.text : '',
+                loopType
+            }).slice(1, -1);
+
+            // The guard needs its own block so its destructor runs when the loop is left
+            const entry = statementEntry(node);
+            entry.forceBraces = true;
+            // Variables declared in the loop header live in the loop's scope and end with it
+            entry.before.push(`trace_loop_guard ${guard}(${loopId}, ${lineOf(node)}, ${currentScopeId()}, "${eventType}", ${rawStringLiteral(meta)}, ${node.type === 'do_statement'});`);
+
+            if (condition) {
+                const depth = depthOf(condition);
+                // do-while checks happen on the while line, other loops on the header
+                const checkLine = node.type === 'do_statement' ? lineOf(condition) : lineOf(node);
+                edits.push({ index: condition.startIndex, text: `${guard}.check(${checkLine}, static_cast<bool>((`, kind: 'open', depth });
+                edits.push({ index: condition.endIndex, text: ')))', kind: 'close', depth });
+            } else {
+                // for (;;): the check goes before the semicolon that ends the empty condition
+                const semicolons = node.children.filter(child => child.type === ';');
+                const lastSemicolon = semicolons[semicolons.length - 1];
+                edits.push({ index: lastSemicolon.startIndex, text: `${guard}.check(${lineOf(node)}, true)`, kind: 'open', depth: depthOf(node) + 1 });
+            }
+        }
+        function functionDeclarator(node) {
+            let declarator = node.childForFieldName('declarator');
+            while (declarator && declarator.type !== 'function_declarator') {
+                declarator = declarator.childForFieldName('declarator') || declarator.namedChildren[0];
+            }
+            return declarator;
+        }
+        function parameterNames(declarator) {
+            return declarator.childForFieldName('parameters').namedChildren
+                .filter(param => param.type === 'parameter_declaration' || param.type === 'optional_parameter_declaration')
+                .map(param => param.childForFieldName('declarator') && declaratorName(param.childForFieldName('declarator')))
+                .filter(Boolean);
+        }
+        function traceScopeExit(node, scope) {
+            if (scope.variables.size === 0) return;
+            // Function bodies end with the frame; a guard ahead of case labels would be jumped over
+            const parentType = node.parent && node.parent.type;
+            if (parentType === 'function_definition' || parentType === 'switch_statement') return;
+            insertAtBodyStart(node, `trace_scope_guard trace_scope_${scope.id}(${scope.id}, ${node.endPosition.row + 1});`);
+        }
+        function traceFunction(node) {
+            const body = node.childForFieldName('body');
+            if (!body || body.type !== 'compound_statement') return;
+            // The guard is not a literal type, so it can't live in a constexpr function
+            if (node.children.some(child => child.text === 'constexpr' || child.text === 'consteval')) return;
+
+            let declarator = node.childForFieldName('declarator');
+            let returnsPointer = false;
+            while (declarator && declarator.type !== 'function_declarator') {
+                returnsPointer = true;
+                declarator = declarator.childForFieldName('declarator') || declarator.namedChildren[0];
+            }
+            if (!declarator) return;
+
+            let name = declarator.childForFieldName('declarator').text;
+            for (let current = node.parent; current; current = current.parent) {
+                if ((current.type === 'class_specifier' || current.type === 'struct_specifier') && current.childForFieldName('name')) {
+                    name = `${current.childForFieldName('name').text}::${name}`;
+                    break;
                 }
             }
-            declareVar(name, meta);
+            const parameters = parameterNames(declarator);
+            const returnType = node.childForFieldName('type');
+
+            // {"x":<value>,"y":<value>}, serialized at runtime
+            const parametersJson = parameters.length === 0
+                ? '"{}"'
+                : 'std::string("{") + ' + parameters.map((param, i) =>
+                    `${rawStringLiteral(`${i > 0 ? ',' : ''}${JSON.stringify(param)}:`)} + trace_value(${param}, 0)`
+                ).join(' + ') + ' + "}"';
+            const meta = JSON.stringify({
+                name,
+                returnType: returnType ? returnType.text : '',
+                parameterNames: parameters,
+                scopeId: currentScopeId()
+            }).slice(1, -1);
+
+            tracedFunctions.set(node.id, {
+                returnsVoid: !returnsPointer && !!returnType && returnType.text === 'void'
+            });
+            insertAtBodyStart(body, `trace_function_guard trace_frame(${lineOf(node)}, ${body.endPosition.row + 1}, ${rawStringLiteral(meta)}, ${parametersJson});`);
+        }
+        // Give each class a serializer for its data members. As a hidden friend it can read
+        // private members and is found by trace_value through argument-dependent lookup.
+        function traceType(node) {
+            const name = node.childForFieldName('name');
+            const body = node.childForFieldName('body');
+            if (!name || !body) return;
+            // Local classes can't define friend functions
+            for (let current = node.parent; current; current = current.parent) {
+                if (current.type === 'compound_statement') return;
+            }
+
+            const className = typeName(name);
+            // {"x":<value>,"y":<value>}, serialized at runtime
+            const members = typeMembers.get(className) || [];
+            const membersJson = members.length === 0
+                ? '"{}"'
+                : 'std::string("{") + ' + members.map((member, i) =>
+                    `${rawStringLiteral(`${i > 0 ? ',' : ''}${JSON.stringify(member)}:`)} + trace_value(value.${member}, 0)`
+                ).join(' + ') + ' + "}"';
+            edits.push({
+                index: body.endIndex - 1,
+                text: ` friend std::string to_string_custom(const ${className}& value) { return ${membersJson}; } `,
+                kind: 'close',
+                depth: depthOf(body)
+            });
+        }
+        function traceReturn(node) {
+            // Only returns of a traced function; a lambda's return can't see trace_frame
+            let owner = node.parent;
+            while (owner && owner.type !== 'function_definition' && owner.type !== 'lambda_expression') {
+                owner = owner.parent;
+            }
+            const traced = owner && tracedFunctions.get(owner.id);
+            if (!traced) return;
+
+            const entry = statementEntry(node);
+            entry.before.push(`trace_frame.exit_line = ${lineOf(node)};`);
+            const value = node.namedChildren.find(child => child.type !== 'comment');
+            if (!value || traced.returnsVoid || value.type === 'initializer_list') return;
+            if (value.type === 'identifier') {
+                // Left as a plain name so return-by-move still applies
+                entry.before.push(`trace_frame.record_return(${value.text});`);
+            } else {
+                const depth = depthOf(value);
+                edits.push({ index: value.startIndex, text: 'trace_frame.returned(', kind: 'open', depth });
+                edits.push({ index: value.endIndex, text: ')', kind: 'close', depth });
+            }
+        }
+        function traceLine(node) {
+            // Only statements that sit in a block or directly form a body
+            const parent = enclosing(node);
+            if (!parent || !(BLOCK_TYPES.has(parent.type) || (CONTROL_TYPES.has(parent.type) && isBodyOf(parent, node)))) return;
+            statementEntry(node).before.push(`trace_line(${lineOf(node)});`);
         }
         function walk(node) {
-            if (node.type === 'compound_statement' || node.type === 'function_definition') {
+            if (node.type === 'function_definition' && skipFunctionLines.has(lineOf(node))) {
+                return;
+            }
+            if (SCOPE_TYPES.has(node.type)) {
                 enterScope();
             }
+            if (node.type === 'function_definition') {
+                const declarator = functionDeclarator(node);
+                if (declarator) {
+                    for (const param of parameterNames(declarator)) {
+                        declareVar(param, { declaredAt: node.startPosition.row });
+                    }
+                }
+            }
+            if (LINE_STEP_TYPES.has(node.type)) {
+                traceLine(node);
+            }
+            if (node.type === 'declaration' || node.type === 'for_range_loop') {
+                // Every declared name, initialized or not, so later writes resolve to this scope
+                for (const declarator of node.childrenForFieldName('declarator')) {
+                    const varName = declaratorName(declarator);
+                    if (varName) declareVar(varName, { declaredAt: node.startPosition.row });
+                    // Box b; std::map<int, int> m; are there from their declaration on
+                    if (varName && node.type === 'declaration' && !['init_declarator', 'function_declarator'].includes(declarator.type)) {
+                        traceWrite(declarator, { name: varName, path: '""', declaration: true });
+                    }
+                }
+            }
             if (node.type === 'init_declarator') {
-                const varName = node.firstChild.text;
-                declareVar(varName, { declaredAt: node.startPosition.row });
-                insertions.push({
-                    line: node.endPosition.row,
-                    macro: `TRACE_VAR(${varName}, ${node.startPosition.row + 1});`
-                });
+                const varName = declaratorName(node.childForFieldName('declarator'));
+                if (varName) {
+                    traceWrite(node, { name: varName, path: '""' });
+                }
             }
             if (node.type === 'assignment_expression') {
-                const varName = node.firstChild.text;
-                assignVar(varName, { assignedAt: node.startPosition.row });
-                insertions.push({
-                    line: node.endPosition.row,
-                    macro: `TRACE_VAR(${varName}, ${node.startPosition.row + 1});`
-                });
+                traceWrite(node, writeTarget(node.childForFieldName('left')));
+            }
+            if (node.type === 'update_expression') {
+                traceWrite(node, writeTarget(node.childForFieldName('argument')));
+            }
+            if (node.type === 'call_expression' && node.parent.type === 'expression_statement') {
+                // p.shift(3); v.push_back(x); may change the object, so show it again afterwards
+                const callee = node.childForFieldName('function');
+                if (callee.type === 'field_expression') {
+                    // p->push(x) changes what p points at
+                    const argument = callee.childForFieldName('argument');
+                    const target = callee.childForFieldName('operator').text === '->'
+                        ? argument.type === 'identifier' && { name: argument.text, path: '""', pointer: true }
+                        : writeTarget(argument);
+                    if (target && isDeclared(target.name)) traceWrite(node, target);
+                }
+            }
+            if (node.type === 'if_statement') {
+                traceIf(node);
+            }
+            if (LOOP_EVENTS[node.type]) {
+                traceLoop(node);
+            }
+            if (node.type === 'function_definition') {
+                traceFunction(node);
+            }
+            if (node.type === 'struct_specifier' || node.type === 'class_specifier') {
+                traceType(node);
+            }
+            if (node.type === 'return_statement') {
+                traceReturn(node);
             }
             for (let i = 0; i < node.childCount; i++) {
                 walk(node.child(i));
             }
-            if (node.type === 'compound_statement' || node.type === 'function_definition') {
-                exitScope();
+            if (SCOPE_TYPES.has(node.type)) {
+                const scope = exitScope();
+                if (node.type === 'compound_statement') {
+                    traceScopeExit(node, scope);
+                }
             }
         }
         walk(ast);
-        const instrumentedLines = [...lines];
-        insertions.sort((a, b) => b.line - a.line);
-        for (const { line, macro } of insertions) {
-            instrumentedLines.splice(line + 1, 0, macro);
+
+        for (const entry of statementEdits.values()) {
+            const { node, before, after } = entry;
+            // A lone statement used as a body gets braces so the added code stays inside it
+            const needsBraces = entry.forceBraces || !BLOCK_TYPES.has(enclosing(node).type);
+            const depth = depthOf(node);
+            if (needsBraces || before.length) {
+                const text = (needsBraces ? '{ ' : '') + before.map(t => `${t} `).join('');
+                edits.push({ index: node.startIndex, text, kind: 'open', depth });
+            }
+            if (needsBraces || after.length) {
+                const text = after.map(t => ` ${t}`).join('') + (needsBraces ? ' }' : '');
+                edits.push({ index: node.endIndex, text, kind: 'close', depth });
+            }
         }
-        // Remove old macro injection (handled in getCompleteInstrumentedCode)
-        return instrumentedLines.join('\n');
+        // Helpers are injected in getCompleteInstrumentedCode
+        this.originalCode = code;
+        this.edits = edits;
+        return this.applyEdits(code, edits);
     }
 }
 
+// Bump when the instrumentation or trace runtime changes, so cached
+// instrumented binaries from older versions are not reused
+CodeInstrumenter.VERSION = 5;
+// Environment variable naming the file the instrumented program writes its trace to
+CodeInstrumenter.TRACE_FILE_ENV = 'CDEBUG_TRACE_FILE';
+// Caps on how much trace one run writes. Past maxStepsPerLine a loop that has run
+// more than sampleIterations iterations is summarized: only its last sampleIterations
+// iterations are traced, followed by one LOOP_SUMMARY record for the ones skipped
+// before them and the final values of what only those wrote. Past maxSteps or
+// maxTraceBytes the trace stops with a TRUNCATED record.
+CodeInstrumenter.DEFAULT_TRACE_LIMITS = {
+    maxSteps: 20000,
+    maxStepsPerLine: 500,
+    maxTraceBytes: 4 * 1024 * 1024,
+    sampleIterations: 5
+};
+CodeInstrumenter.TRACE_LIMIT_ENV = {
+    maxSteps: 'CDEBUG_MAX_STEPS',
+    maxStepsPerLine: 'CDEBUG_MAX_STEPS_PER_LINE',
+    maxTraceBytes: 'CDEBUG_MAX_TRACE_BYTES',
+    sampleIterations: 'CDEBUG_SAMPLE_ITERATIONS'
+};
+
 module.exports = CodeInstrumenter; 
\ No newline at end of file
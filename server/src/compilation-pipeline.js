@@ -1,15 +1,14 @@
-const DockerManager = require('./docker-manager');
+const Sandbox = require('./sandbox');
 const CodeInstrumenter = require('./code-instrumenter');
-const LogParser = require('./log-parser');
-const tmp = require('tmp');
-const fs = require('fs');
-const path = require('path');
+const CompilerProfile = require('./compiler-profile');
+const DiagnosticsParser = require('./diagnostics-parser');
+const CapabilityAnalyzer = require('./capability-analyzer');
 
 class CompilationPipeline {
-    constructor() {
-        this.dockerManager = new DockerManager();
+    constructor(sandbox = Sandbox.create()) {
+        this.sandbox = sandbox;
         this.codeInstrumenter = new CodeInstrumenter();
-        this.logParser = new LogParser();
+        this.capabilityAnalyzer = new CapabilityAnalyzer(this.codeInstrumenter);
         this.isInitialized = false;
     }
 
@@ -18,7 +17,7 @@ class CompilationPipeline {
 
         try {
             console.log('Initializing compilation pipeline...');
-            await this.dockerManager.buildImage();
+            await this.sandbox.initialize();
             this.isInitialized = true;
             console.log('Compilation pipeline initialized successfully');
         } catch (error) {
@@ -27,174 +26,106 @@ class CompilationPipeline {
         }
     }
 
-    async compileAndRun(code, input = '') {
-        if (!this.isInitialized) {
-            await this.initialize();
-        }
+    async createWorkspace() {
+        return this.sandbox.createWorkspace();
+    }
 
-        // Create temporary workspace
-        const workspace = await this.createWorkspace();
-        
-        try {
-            // Instrument the code
-            const instrumentedResult = this.codeInstrumenter.instrument(code);
-            const completeInstrumentedCode = this.codeInstrumenter.getCompleteInstrumentedCode();
-            
-            // Create container for execution
-            const container = await this.dockerManager.createContainer(workspace.path);
-            
-            // Execute the instrumented code
-            const result = await this.dockerManager.executeCode(container, completeInstrumentedCode, input);
-            
-            if (result.success) {
-                // Parse the execution logs
-                const executionData = this.logParser.parseLogs(result.stderr);
-                
-                return {
-                    success: true,
-                    stdout: result.stdout,
-                    stderr: result.stderr,
-                    exitCode: result.exitCode,
-                    executionTime: result.executionTime,
-                    workspace: workspace.path,
-                    // Phase 2: Execution visualization data
-                    executionData: executionData,
-                    instrumentedCode: completeInstrumentedCode,
-                    originalCode: code
-                };
-            } else {
-                return {
-                    ...result,
-                    workspace: workspace.path,
-                    originalCode: code
-                };
-            }
-        } catch (error) {
-            console.error('Error in compilation pipeline:', error);
-            return {
-                success: false,
-                error: error.message,
-                workspace: workspace.path,
-                originalCode: code
-            };
-        } finally {
-            // Clean up workspace after a delay to allow for debugging
-            setTimeout(() => {
-                this.cleanupWorkspace(workspace);
-            }, 5000);
-        }
+    cleanupWorkspace(workspace) {
+        return this.sandbox.releaseWorkspace(workspace);
     }
 
-    async compileAndVisualize(code, input = '') {
+    // Syntax-only compile plus a tree-sitter parse. Errors and warnings are
+    // diagnostics like /api/execute returns; `visualization` says whether the
+    // code can be traced step by step and, if not, what stands in the way.
+    async validateCode(code, profile = CompilerProfile.DEFAULT) {
         if (!this.isInitialized) {
             await this.initialize();
         }
 
-        // Create temporary workspace
+        const parseErrors = this.codeInstrumenter.syntaxErrors(code).map(error => ({
+            severity: 'error',
+            file: Sandbox.SOURCE_FILE,
+            ...error,
+            option: null,
+            fixits: [],
+            notes: []
+        }));
         const workspace = await this.createWorkspace();
-        
+        let compileResult;
         try {
-            // Instrument the code
-            const instrumentedResult = this.codeInstrumenter.instrument(code);
-            const completeInstrumentedCode = this.codeInstrumenter.getCompleteInstrumentedCode();
-            
-            // Create container for execution
-            const container = await this.dockerManager.createContainer(workspace.path);
-            
-            // Execute the instrumented code
-            const result = await this.dockerManager.executeCode(container, completeInstrumentedCode, input);
-            
-            if (result.success) {
-                // Parse the execution logs
-                const executionData = this.logParser.parseLogs(result.stderr);
-                
-                return {
-                    success: true,
-                    stdout: result.stdout,
-                    stderr: result.stderr,
-                    exitCode: result.exitCode,
-                    executionTime: result.executionTime,
-                    workspace: workspace.path,
-                    // Phase 2: Execution visualization data
-                    visualization: {
-                        totalSteps: executionData.steps.length,
-                        steps: executionData.steps,
-                        variables: executionData.variables,
-                        callStack: executionData.callStack,
-                        output: executionData.output
-                    },
-                    instrumentedCode: completeInstrumentedCode,
-                    originalCode: code
-                };
-            } else {
-                return {
-                    ...result,
-                    workspace: workspace.path,
-                    originalCode: code
-                };
-            }
-        } catch (error) {
-            console.error('Error in visualization pipeline:', error);
-            return {
-                success: false,
-                error: error.message,
-                workspace: workspace.path,
-                originalCode: code
-            };
+            compileResult = await this.sandbox.checkSyntax(workspace, code, {
+                profile,
+                flags: DiagnosticsParser.flags(profile.compiler)
+            });
         } finally {
-            // Clean up workspace after a delay to allow for debugging
-            setTimeout(() => {
-                this.cleanupWorkspace(workspace);
-            }, 5000);
+            await this.cleanupWorkspace(workspace);
         }
-    }
+        const { diagnostics } = new DiagnosticsParser(compileResult.sourceFile).parse(compileResult.stderr);
 
-    async createWorkspace() {
-        return new Promise((resolve, reject) => {
-            tmp.dir({
-                prefix: 'cpp-workspace-',
-                unsafeCleanup: true
-            }, (err, path, cleanupCallback) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({
-                        path,
-                        cleanup: cleanupCallback
-                    });
-                }
-            });
-        });
-    }
-
-    cleanupWorkspace(workspace) {
-        try {
-            if (workspace && workspace.cleanup) {
-                workspace.cleanup();
-            }
-        } catch (error) {
-            console.error('Error cleaning up workspace:', error);
+        const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        const warnings = diagnostics.filter(diagnostic => diagnostic.severity !== 'error');
+        if (!compileResult.available) {
+            // Nothing to check against but the parse
+            errors.push(...parseErrors);
+            warnings.push(this.unlocatedDiagnostic('warning', compileResult.stderr));
+        } else if (compileResult.success && parseErrors.length > 0) {
+            // The compiler has the final say; the visualizer just can't follow this code
+            warnings.push(...parseErrors.map(error => ({
+                ...error,
+                severity: 'warning',
+                message: `${error.message} (the visualizer can't parse this)`
+            })));
+        } else if (!compileResult.success && errors.length === 0) {
+            errors.push(this.unlocatedDiagnostic('error', compileResult.stderr || 'Compilation failed'));
         }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            warnings,
+            visualization: this.capabilityAnalyzer.analyze(code)
+        };
     }
 
-    async validateCode(code) {
+    // A diagnostic that isn't about any place in the code
+    unlocatedDiagnostic(severity, message) {
         return {
-            isValid: true,
-            errors: [],
-            warnings: []
+            severity,
+            file: null,
+            line: null,
+            column: null,
+            endLine: null,
+            endColumn: null,
+            message,
+            option: null,
+            fixits: [],
+            notes: []
         };
     }
 
     async getCompilationInfo() {
+        const { backend, compiler, flags, limits, cache } = this.sandbox.describe();
         return {
-            compiler: 'g++',
-            version: 'C++17',
-            flags: ['-std=c++17', '-O0', '-g'],
-            maxExecutionTime: '2 seconds',
-            maxMemory: '50MB',
+            backend,
+            compiler,
+            version: 'C++20',
+            flags,
+            maxExecutionTime: `${limits.timeLimitMs / 1000} seconds`,
+            maxMemory: `${limits.memoryLimitBytes / (1024 * 1024)}MB`,
+            maxOutput: `${limits.outputLimitBytes / 1024}KB`,
+            compileCache: cache,
+            // What a request's compiler profile may choose from
+            profiles: {
+                standards: CompilerProfile.STANDARDS,
+                optimizations: CompilerProfile.OPTIMIZATIONS,
+                compilers: Object.keys(CompilerProfile.COMPILERS),
+                maxDefines: CompilerProfile.MAX_DEFINES,
+                default: CompilerProfile.DEFAULT
+            },
+            // Only the Docker backend isolates the program from the host
             security: {
-                networkAccess: false,
-                fileSystemAccess: 'read-only',
+                networkAccess: backend !== 'docker',
+                fileSystemAccess: backend === 'docker' ? 'read-only' : 'host',
                 processLimits: 'enabled'
             },
             // Phase 2: Instrumentation features
@@ -210,7 +141,7 @@ class CompilationPipeline {
 
     async cleanup() {
         try {
-            await this.dockerManager.cleanupAllContainers();
+            await this.sandbox.cleanup();
         } catch (error) {
             console.error('Error during cleanup:', error);
         }
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+// Compiled binaries keyed by a hash of everything that affects the build:
+// source, compiler, flags and build variant (e.g. the instrumentation version).
+// Bounded by total size and entry count, evicting the least recently used.
+class CompileCache {
+    constructor({ maxBytes = 256 * 1024 * 1024, maxEntries = 200 } = {}) {
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+        this.directory = tmp.dirSync({ prefix: 'cpp-compile-cache-', unsafeCleanup: true }).name;
+        // key -> { file, size, stdout, stderr }; Map order doubles as recency order
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    key({ source, compiler, flags, variant = '' }) {
+        const hash = crypto.createHash('sha256');
+        for (const part of [source, compiler, flags.join(' '), variant]) {
+            // Length-prefixed, so parts can't run into each other
+            hash.update(`${Buffer.byteLength(part)}:${part}`);
+        }
+        return hash.digest('hex');
+    }
+
+    // Copy the cached binary to `destination`. Returns the entry's compiler
+    // output, or null on a miss.
+    restore(key, destination) {
+        const entry = this.entries.get(key);
+        if (!entry || !fs.existsSync(entry.file)) {
+            if (entry) this.remove(key);
+            this.misses++;
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        fs.copyFileSync(entry.file, destination);
+        this.hits++;
+        return { stdout: entry.stdout, stderr: entry.stderr };
+    }
+
+    store(key, binary, { stdout = '', stderr = '' } = {}) {
+        const size = fs.statSync(binary).size;
+        if (size > this.maxBytes) return;
+        if (this.entries.has(key)) this.remove(key);
+
+        const file = path.join(this.directory, key);
+        // Copy then rename, so a concurrent restore never sees half a binary
+        const partial = `${file}.${process.pid}.${Date.now()}.partial`;
+        fs.copyFileSync(binary, partial);
+        fs.renameSync(partial, file);
+        this.entries.set(key, { file, size, stdout, stderr });
+        this.totalBytes += size;
+
+        while (this.totalBytes > this.maxBytes || this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+        fs.rmSync(entry.file, { force: true });
+    }
+
+    stats() {
+        return {
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+module.exports = CompileCache;
@@ -0,0 +1,97 @@
+// Compiler settings a request may choose: language standard, optimization
+// level, warnings, preprocessor defines and compiler. Everything is checked
+// against an allow-list before it gets near a command line.
+class CompilerProfile {
+    constructor({ standard, optimization, warnings, defines, compiler } = CompilerProfile.DEFAULTS) {
+        this.standard = standard;
+        this.optimization = optimization;
+        this.warnings = warnings;
+        this.defines = defines;
+        this.compiler = compiler;
+    }
+
+    // Validate a requested profile; missing fields take the defaults.
+    // Returns { isValid, errors, profile } like validateCode.
+    static validate(options = {}) {
+        const errors = [];
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return { isValid: false, errors: ['Compiler profile must be an object'], profile: null };
+        }
+        const settings = { ...CompilerProfile.DEFAULTS, ...options };
+
+        for (const field of Object.keys(options)) {
+            if (!(field in CompilerProfile.DEFAULTS)) {
+                errors.push(`Unknown compiler profile field '${field}'`);
+            }
+        }
+        if (!CompilerProfile.STANDARDS.includes(settings.standard)) {
+            errors.push(`Unsupported standard '${settings.standard}'; expected one of ${CompilerProfile.STANDARDS.join(', ')}`);
+        }
+        if (!CompilerProfile.OPTIMIZATIONS.includes(settings.optimization)) {
+            errors.push(`Unsupported optimization '${settings.optimization}'; expected one of ${CompilerProfile.OPTIMIZATIONS.join(', ')}`);
+        }
+        if (typeof settings.warnings !== 'boolean') {
+            errors.push('warnings must be true or false');
+        }
+        if (!Object.keys(CompilerProfile.COMPILERS).includes(settings.compiler)) {
+            errors.push(`Unsupported compiler '${settings.compiler}'; expected one of ${Object.keys(CompilerProfile.COMPILERS).join(', ')}`);
+        }
+        if (!Array.isArray(settings.defines)) {
+            errors.push('defines must be a list of NAME or NAME=value strings');
+        } else {
+            if (settings.defines.length > CompilerProfile.MAX_DEFINES) {
+                errors.push(`At most ${CompilerProfile.MAX_DEFINES} defines are allowed`);
+            }
+            for (const define of settings.defines) {
+                if (typeof define !== 'string' || !CompilerProfile.DEFINE_PATTERN.test(define)) {
+                    errors.push(`Invalid define '${define}'; expected NAME or NAME=value with a plain value`);
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            return { isValid: false, errors, profile: null };
+        }
+        return { isValid: true, errors, profile: new CompilerProfile(settings) };
+    }
+
+    // Compiler executable, e.g. g++ or clang++
+    get executable() {
+        return CompilerProfile.COMPILERS[this.compiler];
+    }
+
+    flags() {
+        return [
+            `-std=${this.standard}`,
+            `-${this.optimization}`,
+            ...(this.warnings ? ['-Wall', '-Wextra'] : []),
+            ...this.defines.map(define => `-D${define}`)
+        ];
+    }
+
+    toJSON() {
+        return {
+            standard: this.standard,
+            optimization: this.optimization,
+            warnings: this.warnings,
+            defines: this.defines,
+            compiler: this.compiler
+        };
+    }
+}
+
+CompilerProfile.STANDARDS = ['c++11', 'c++14', 'c++17', 'c++20', 'c++23'];
+CompilerProfile.OPTIMIZATIONS = ['O0', 'O1', 'O2', 'O3', 'Os', 'Og'];
+CompilerProfile.COMPILERS = { gcc: 'g++', clang: 'clang++' };
+CompilerProfile.MAX_DEFINES = 16;
+CompilerProfile.DEFINE_PATTERN = /^[A-Za-z_]\w*(=[\w.+-]*)?$/;
+CompilerProfile.DEFAULTS = {
+    standard: 'c++20',
+    optimization: 'O0',
+    warnings: false,
+    defines: [],
+    compiler: 'gcc'
+};
+CompilerProfile.DEFAULT = new CompilerProfile(CompilerProfile.DEFAULTS);
+
+module.exports = CompilerProfile;
@@ -0,0 +1,197 @@
+const path = require('path');
+
+// Turns compiler output into structured diagnostics:
+// { severity, file, line, column, endLine, endColumn, message, option,
+//   fixits: [{ line, column, endLine, endColumn, text }], notes: [...] }.
+// g++ reports in its JSON format; clang (and anything that slips through as
+// text, like linker errors) is read from the usual `file:line:col: kind: msg`
+// lines plus parseable fix-its. Columns are 1-based and end columns exclusive.
+// With a source map, positions are translated back from instrumented code and
+// diagnostics about the injected trace code are dropped.
+class DiagnosticsParser {
+    constructor(sourceFile) {
+        this.sourceFile = sourceFile;
+    }
+
+    // Flags that make `compiler` (a profile's compiler name) report in a form parse() reads
+    static flags(compiler) {
+        return DiagnosticsParser.FLAGS[compiler] || [];
+    }
+
+    // Returns { diagnostics, text, injectedError }: `text` is the output as a
+    // person would read it, and injectedError tells whether an error points
+    // into code the instrumenter added.
+    parse(output, sourceMap = null) {
+        const state = { diagnostics: [], injectedError: false };
+        const fromJson = [];
+        const textLines = [];
+        let current = null;
+
+        for (const outputLine of output.split('\n')) {
+            const json = this.parseJson(outputLine);
+            if (json) {
+                for (const entry of json) {
+                    const diagnostic = this.fromJson(entry, sourceMap, state);
+                    if (diagnostic) fromJson.push(diagnostic);
+                }
+                current = null;
+                continue;
+            }
+
+            const fixit = outputLine.match(/^fix-it:"(.*)":\{(\d+):(\d+)-(\d+):(\d+)\}:"(.*)"$/);
+            if (fixit) {
+                if (current && path.basename(fixit[1]) === this.sourceFile) {
+                    const [startLine, startColumn, endLine, endColumn] = fixit.slice(2, 6).map(value => parseInt(value, 10));
+                    const replacement = this.fixit(sourceMap, { line: startLine, column: startColumn },
+                        { line: endLine, column: endColumn }, this.unescape(fixit[6]));
+                    if (replacement) current.fixits.push(replacement);
+                }
+                continue;
+            }
+
+            textLines.push(outputLine);
+            const located = outputLine.match(/^(.+?):(\d+):(\d+): (fatal error|error|warning|note): (.*)$/);
+            if (located) {
+                const diagnostic = this.diagnostic(located[4], located[5], sourceMap, state,
+                    located[1], { line: parseInt(located[2], 10), column: parseInt(located[3], 10) });
+                if (located[4] === 'note') {
+                    if (diagnostic && current) current.notes.push(diagnostic);
+                } else {
+                    current = diagnostic;
+                    if (diagnostic) state.diagnostics.push(diagnostic);
+                }
+                continue;
+            }
+            // Unlocated errors, e.g. from the linker
+            const unlocated = outputLine.match(/^(?:\S+: )?(?:(fatal error|error|warning): |.*?(undefined reference to .*)$)(.*)$/);
+            if (unlocated && (unlocated[1] || unlocated[2])) {
+                current = this.diagnostic(unlocated[1] || 'error', unlocated[2] || unlocated[3], sourceMap, state, null, null);
+                state.diagnostics.push(current);
+            }
+        }
+
+        // g++ prints its JSON after compiling, before anything the linker says
+        const diagnostics = [...fromJson, ...state.diagnostics];
+        const text = fromJson.length > 0
+            ? this.format(fromJson, textLines)
+            : this.translate(textLines.join('\n'), sourceMap);
+        return { diagnostics, text, injectedError: state.injectedError };
+    }
+
+    // A line of g++'s JSON output: an array of diagnostics
+    parseJson(outputLine) {
+        if (!outputLine.startsWith('[')) return null;
+        try {
+            const parsed = JSON.parse(outputLine);
+            return Array.isArray(parsed) ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    fromJson(entry, sourceMap, state) {
+        const location = (entry.locations || [])[0];
+        const caret = location ? location.caret : null;
+        const diagnostic = this.diagnostic(entry.kind, entry.message, sourceMap, state,
+            caret ? caret.file : null, caret, location ? location.finish : null);
+        if (!diagnostic) return null;
+        if (entry.option) diagnostic.option = entry.option;
+        for (const fixit of entry.fixits || []) {
+            if (path.basename(fixit.start.file) !== this.sourceFile) continue;
+            // `next` is already just past the replaced range
+            const replacement = this.fixit(sourceMap, fixit.start, fixit.next, fixit.string);
+            if (replacement) diagnostic.fixits.push(replacement);
+        }
+        for (const child of entry.children || []) {
+            const note = this.fromJson(child, sourceMap, state);
+            if (note) diagnostic.notes.push(note);
+        }
+        return diagnostic;
+    }
+
+    // A diagnostic at `start` (and up to `finish`, inclusive) in `file`, or null
+    // when it's about the injected trace code
+    diagnostic(kind, message, sourceMap, state, file, start, finish = null) {
+        const severity = kind === 'fatal error' ? 'error' : kind;
+        const optionMatch = message.match(/ \[(-W[^\]]+)\]$/);
+        const diagnostic = {
+            severity,
+            file: file && path.basename(file) === this.sourceFile ? this.sourceFile : file,
+            line: null,
+            column: null,
+            endLine: null,
+            endColumn: null,
+            message: optionMatch ? message.slice(0, optionMatch.index) : message,
+            option: optionMatch ? optionMatch[1] : null,
+            fixits: [],
+            notes: []
+        };
+        if (!start) return diagnostic;
+        if (diagnostic.file !== this.sourceFile) {
+            Object.assign(diagnostic, { line: start.line, column: start.column });
+            return diagnostic;
+        }
+
+        const position = this.position(sourceMap, start.line, start.column);
+        if (!position) {
+            if (severity === 'error') state.injectedError = true;
+            return null;
+        }
+        Object.assign(diagnostic, position);
+        const end = finish ? this.position(sourceMap, finish.line, finish.column) : null;
+        if (end && end.line >= position.line) {
+            Object.assign(diagnostic, { endLine: end.line, endColumn: end.column + 1 });
+        }
+        return diagnostic;
+    }
+
+    fixit(sourceMap, start, end, text) {
+        const from = this.position(sourceMap, start.line, start.column);
+        const to = this.position(sourceMap, end.line, end.column);
+        if (!from || !to) return null;
+        return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column, text };
+    }
+
+    // Original position, or null when it's in code the instrumenter added
+    position(sourceMap, line, column) {
+        if (!sourceMap) return { line, column };
+        const original = sourceMap.originalPosition(line, column);
+        if (!original || original.injected || original.line === null) return null;
+        return { line: original.line, column: original.column };
+    }
+
+    // Fix-it strings are C-escaped
+    unescape(text) {
+        try {
+            return JSON.parse(`"${text}"`);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // Readable text for diagnostics that came as JSON, followed by whatever
+    // else was printed (e.g. linker errors)
+    format(diagnostics, textLines) {
+        const lines = [];
+        const describe = (diagnostic) => {
+            const location = diagnostic.line === null
+                ? (diagnostic.file ? `${diagnostic.file}: ` : '')
+                : `${diagnostic.file}:${diagnostic.line}:${diagnostic.column === null ? '' : `${diagnostic.column}:`} `;
+            lines.push(`${location}${diagnostic.severity}: ${diagnostic.message}${diagnostic.option ? ` [${diagnostic.option}]` : ''}`);
+            diagnostic.notes.forEach(describe);
+        };
+        diagnostics.forEach(describe);
+        return [...lines, ...textLines].join('\n').trim();
+    }
+
+    translate(text, sourceMap) {
+        return sourceMap ? sourceMap.translateDiagnostics(text, this.sourceFile).text : text;
+    }
+}
+
+DiagnosticsParser.FLAGS = {
+    gcc: ['-fdiagnostics-format=json'],
+    clang: ['-fdiagnostics-parseable-fixits']
+};
+
+module.exports = DiagnosticsParser;
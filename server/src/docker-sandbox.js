@@ -0,0 +1,314 @@
+const { v4: uuidv4 } = require('uuid');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough, Writable } = require('stream');
+const fs = require('fs');
+const Sandbox = require('./sandbox');
+const ProcessRunner = require('./process-runner');
+const ResourceMeter = require('./resource-meter');
+const CompilerProfile = require('./compiler-profile');
+
+// Compiles and runs in a locked-down container per workspace: no network,
+// read-only root, capped memory, CPU and pids, with the workspace mounted at
+// /workspace. The program also gets the same rlimits as on the local backend.
+class DockerSandbox extends Sandbox {
+    constructor(limits = {}) {
+        super(limits);
+        this.name = 'docker';
+        this.docker = null;
+        this.image = 'cpp-executor:latest';
+        this.imageId = null;
+        this.maxCpuShares = 512; // Limit CPU usage
+        // Names of the containers whose workspace hasn't been released yet
+        this.activeContainers = new Set();
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+        const Docker = require('dockerode');
+        this.docker = new Docker();
+        // Fail loudly rather than run user code without the isolation that was asked for
+        await this.docker.ping();
+        // Built from server/Dockerfile the first time
+        let image = await this.inspectImage();
+        if (!image) {
+            await this.buildImage();
+            image = await this.inspectImage();
+        }
+        this.imageId = image.Id;
+        this.isInitialized = true;
+        console.log('Docker is available - using containerized execution');
+    }
+
+    // The image's details, or null when it hasn't been built
+    async inspectImage() {
+        try {
+            return await this.docker.getImage(this.image).inspect();
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async buildImage() {
+        try {
+            console.log('Building C++ executor Docker image...');
+            const stream = await this.docker.buildImage({
+                context: path.join(__dirname, '..'),
+                src: ['Dockerfile']
+            }, { t: this.image });
+
+            return new Promise((resolve, reject) => {
+                this.docker.modem.followProgress(stream, (err, res) => {
+                    if (err) {
+                        console.error('Error building Docker image:', err);
+                        reject(err);
+                    } else {
+                        console.log('Docker image built successfully');
+                        resolve(res);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Failed to build Docker image:', error);
+            throw error;
+        }
+    }
+
+    // The workspace's container, created and started on first use
+    async container(workspace) {
+        if (!workspace.container) {
+            // Claimed before it exists so cleanup() can't race the creation
+            workspace.containerName = `cpp-exec-${uuidv4().substring(0, 8)}`;
+            this.activeContainers.add(workspace.containerName);
+            workspace.container = await this.createContainer(workspace.path, workspace.containerName);
+            await workspace.container.start();
+        }
+        return workspace.container;
+    }
+
+    async createContainer(workspacePath, containerId) {
+        return this.docker.createContainer({
+            Image: this.image,
+            name: containerId,
+            Hostname: containerId,
+            WorkingDir: '/workspace',
+            Cmd: ['/bin/bash'],
+            Tty: false,
+            OpenStdin: true,
+            StdinOnce: false,
+            Env: [
+                'PYTHONUNBUFFERED=1',
+                'TERM=xterm'
+            ],
+            HostConfig: {
+                Memory: this.limits.memoryLimitBytes,
+                MemorySwap: this.limits.memoryLimitBytes,
+                CpuShares: this.maxCpuShares,
+                CpuPeriod: 100000,
+                CpuQuota: 50000, // 50% CPU limit
+                PidsLimit: 50,
+                SecurityOpt: ['no-new-privileges'],
+                CapDrop: ['ALL'],
+                ReadonlyRootfs: true,
+                Binds: [
+                    `${workspacePath}:/workspace:rw`
+                ],
+                Tmpfs: {
+                    '/tmp': 'noexec,nosuid,size=100m',
+                    '/var/tmp': 'noexec,nosuid,size=50m'
+                },
+                NetworkMode: 'none', // No network access
+                Ulimits: [
+                    {
+                        Name: 'nofile',
+                        Soft: 1024,
+                        Hard: 2048
+                    }
+                ]
+            }
+        });
+    }
+
+    sandboxPath(workspace, file) {
+        return path.posix.join('/workspace', file);
+    }
+
+    // The image pins the compiler, so its id is part of the version
+    async compilerVersion(workspace, compiler) {
+        const result = await this.exec(workspace, [compiler, '--version']).catch(() => null);
+        if (!result || result.exitCode !== 0) return null;
+        return `${this.imageId}:${result.stdout.split('\n')[0]}`;
+    }
+
+    // Built in each workspace's container, with the compiler of the image
+    async meter(workspace) {
+        if (workspace.meter === undefined) {
+            fs.writeFileSync(path.join(workspace.path, `${Sandbox.METER_FILE}.cpp`), ResourceMeter.SOURCE);
+            const result = await this.exec(workspace, [
+                CompilerProfile.DEFAULT.executable, '-O2', `${Sandbox.METER_FILE}.cpp`, '-o', Sandbox.METER_FILE
+            ]);
+            workspace.meter = result.exitCode === 0 ? this.sandboxPath(workspace, Sandbox.METER_FILE) : null;
+        }
+        return workspace.meter;
+    }
+
+    async compileSource(workspace, compiler, flags, launcher = []) {
+        const { timeLimitMs, outputLimitBytes } = Sandbox.COMPILE_LIMITS;
+        const result = await this.exec(workspace, [...launcher, compiler, ...flags, Sandbox.SOURCE_FILE, '-o', Sandbox.PROGRAM_FILE], {
+            timeLimitMs,
+            outputLimitBytes
+        });
+        return this.compileOutcome(result);
+    }
+
+    async runProgram(workspace, { input, env, limits, launcher }) {
+        const { timeLimitMs, outputLimitBytes } = { ...this.limits, ...limits };
+        const command = this.processRunner.command(this.sandboxPath(workspace, Sandbox.PROGRAM_FILE), limits, launcher);
+        const result = await this.exec(workspace, command, { input, env, timeLimitMs, outputLimitBytes });
+        // An exec'd program killed by a signal reports 128 + the signal number
+        const signal = result.exitCode > 128
+            ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === result.exitCode - 128) || null
+            : null;
+        const exitCode = signal ? null : result.exitCode;
+        return {
+            status: this.processRunner.classify(result.limitStatus, exitCode, signal, result.stderr),
+            stdout: result.stdout,
+            stderr: result.stderr,
+            exitCode,
+            signal,
+            executionTime: result.executionTime
+        };
+    }
+
+    // Run a command in the workspace's container. A time or output limit kills
+    // the whole container; the workspace is released right after anyway.
+    async exec(workspace, command, { input = '', env = {}, timeLimitMs = null, outputLimitBytes = Infinity } = {}) {
+        const container = await this.container(workspace);
+        const exec = await container.exec({
+            Cmd: command,
+            Env: Object.entries(env).map(([name, value]) => `${name}=${value}`),
+            WorkingDir: '/workspace',
+            AttachStdin: true,
+            AttachStdout: true,
+            AttachStderr: true
+        });
+        const stream = await exec.start({ hijack: true, stdin: true });
+        const startTime = Date.now();
+
+        return new Promise((resolve) => {
+            const output = { stdout: '', stderr: '' };
+            let outputBytes = 0;
+            let limitStatus = null;
+
+            const stop = (status) => {
+                if (limitStatus) return;
+                limitStatus = status;
+                container.kill().catch(() => {});
+            };
+            const timer = timeLimitMs ? setTimeout(() => stop(ProcessRunner.STATUS.TIME_LIMIT), timeLimitMs) : null;
+            const collect = (key) => new Writable({
+                write(chunk, encoding, done) {
+                    if (limitStatus !== ProcessRunner.STATUS.OUTPUT_LIMIT) {
+                        const room = outputLimitBytes - outputBytes;
+                        outputBytes += chunk.length;
+                        output[key] += chunk.slice(0, Math.max(room, 0)).toString();
+                        if (outputBytes > outputLimitBytes) stop(ProcessRunner.STATUS.OUTPUT_LIMIT);
+                    }
+                    done();
+                }
+            });
+            this.docker.modem.demuxStream(stream, collect('stdout'), collect('stderr'));
+
+            const finish = async () => {
+                clearTimeout(timer);
+                const info = await exec.inspect().catch(() => ({ ExitCode: null }));
+                resolve({
+                    ...output,
+                    exitCode: info.ExitCode,
+                    limitStatus,
+                    executionTime: Date.now() - startTime
+                });
+            };
+            stream.once('end', finish);
+            stream.once('error', finish);
+
+            if (input) {
+                stream.write(input);
+            }
+            stream.end();
+        });
+    }
+
+    // GDB in MI mode inside the container, wrapped to look like a child process
+    async debug(workspace, options = {}) {
+        const container = await this.container(workspace);
+        const exec = await container.exec({
+            Cmd: ['gdb', ...this.debugArguments(workspace, options)],
+            WorkingDir: '/workspace',
+            AttachStdin: true,
+            AttachStdout: true,
+            AttachStderr: true
+        });
+        const stream = await exec.start({ hijack: true, stdin: true });
+        const gdb = new EventEmitter();
+        gdb.stdin = stream;
+        gdb.stdout = new PassThrough();
+        gdb.stderr = new PassThrough();
+        gdb.kill = () => stream.destroy();
+        this.docker.modem.demuxStream(stream, gdb.stdout, gdb.stderr);
+        stream.once('close', () => {
+            gdb.stdout.end();
+            gdb.stderr.end();
+            gdb.emit('close', null);
+        });
+        return gdb;
+    }
+
+    async releaseWorkspace(workspace) {
+        if (workspace && workspace.container) {
+            try {
+                await workspace.container.remove({ force: true });
+            } catch (error) {
+                // Already gone is fine; anything else is worth a log line
+                if (error.statusCode !== 404) {
+                    console.error('[DEBUG] Error cleaning up container:', error.message);
+                }
+            }
+            workspace.container = null;
+        }
+        if (workspace && workspace.containerName) {
+            this.activeContainers.delete(workspace.containerName);
+            workspace.containerName = null;
+        }
+        await super.releaseWorkspace(workspace);
+    }
+
+    // Removes the containers left behind by workspaces that were never
+    // released (a crash, a lost request); live runs and GDB sessions keep theirs
+    async cleanup() {
+        if (!this.docker) return;
+
+        try {
+            const containers = await this.docker.listContainers({ all: true });
+            const cppContainers = containers.filter(container =>
+                container.Names.some(name => name.includes('cpp-exec-')) &&
+                !container.Names.some(name => this.activeContainers.has(name.replace(/^\//, '')))
+            );
+
+            for (const containerInfo of cppContainers) {
+                try {
+                    const container = this.docker.getContainer(containerInfo.Id);
+                    await container.remove({ force: true });
+                } catch (error) {
+                    console.error(`Error removing container ${containerInfo.Id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error cleaning up containers:', error);
+        }
+    }
+}
+
+module.exports = DockerSandbox;
@@ -1,21 +1,30 @@
 const CodeInstrumenter = require('./code-instrumenter');
 const LogParser = require('./log-parser');
-const tmp = require('tmp');
-const fs = require('fs');
-const path = require('path');
-const { exec, spawn } = require('child_process');
+const Sandbox = require('./sandbox');
+const ProcessRunner = require('./process-runner');
+const SanitizerParser = require('./sanitizer-parser');
+const DiagnosticsParser = require('./diagnostics-parser');
+const CompilerProfile = require('./compiler-profile');
+const CapabilityAnalyzer = require('./capability-analyzer');
 
 class ExecutionPipeline {
-    constructor() {
+    constructor(sandbox = Sandbox.create()) {
         this.codeInstrumenter = new CodeInstrumenter();
+        // What the instrumenter can trace in a given program
+        this.capabilityAnalyzer = new CapabilityAnalyzer(this.codeInstrumenter);
         this.logParser = new LogParser();
         this.isInitialized = false;
+        // Default trace caps; a request can override any of them
+        this.traceLimits = { ...CodeInstrumenter.DEFAULT_TRACE_LIMITS };
+        // Compiles and runs the program under time, memory and output caps
+        this.sandbox = sandbox;
     }
 
     async initialize() {
         if (this.isInitialized) return;
+        await this.sandbox.initialize();
         this.isInitialized = true;
-        console.log('Execution pipeline initialized successfully (local mode)');
+        console.log(`Execution pipeline initialized successfully (${this.sandbox.name} sandbox)`);
     }
 
     // Sanitize code to fix split string literals
@@ -48,30 +57,7 @@ class ExecutionPipeline {
         return sanitized.join('\n');
     }
 
-    // Helper to detect if code is simple (for visualization)
-    isSimpleCode(code) {
-        // Heuristic: no custom macros, no templates, no struct/class/union, no #include except standard, no function pointers
-        // Now also skip STL containers, algorithms, and 2D arrays
-        const forbiddenPatterns = [
-            /#define\s+\w+\s*\(.+\)/, // function-like macros
-            /template\s*</,
-            /struct\s+\w+/, /class\s+\w+/, /union\s+\w+/, // user-defined types
-            /#include\s*<.*\.h>/, // non-standard includes
-            /->\s*\w+/, // pointer dereference
-            /::\s*\w+/, // scope resolution (for advanced features)
-            /constexpr/, /decltype/, /typename/, /concept/, /requires/, // advanced C++
-            /#include\s*"/, // user includes
-            /\bvector\s*</, /\barray\s*</, /\bset\s*</, /\bmap\s*</, /\bunordered_map\s*</, // STL containers
-            /\bsort\s*\(/, /\breverse\s*\(/, /\bfind\s*\(/, // STL algorithms
-            /\w+\s*\[\s*\d+\s*\]\s*\[\s*\d+\s*\]/, // 2D arrays
-        ];
-        for (const pattern of forbiddenPatterns) {
-            if (pattern.test(code)) return false;
-        }
-        return true;
-    }
-
-    async executeWithVisualization(code, input = '') {
+    async executeWithVisualization(code, input = '', options = {}) {
         console.log('[DEBUG] executeWithVisualization: start');
         if (!this.isInitialized) {
             await this.initialize();
@@ -80,65 +66,76 @@ class ExecutionPipeline {
         code = this.sanitizeCode(code);
         const workspace = await this.createWorkspace();
         try {
-            // Only instrument if code is simple
-            if (this.isSimpleCode(code)) {
+            // Only instrument what the instrumenter can trace; functions it
+            // can't are left as they are for a partial trace
+            const visualization = this.capabilityAnalyzer.analyze(code);
+            if (visualization.visualizable) {
                 // Step 1: Instrument the code
                 console.log('[DEBUG] Step 1: Instrumenting code...');
-                const instrumentedResult = this.codeInstrumenter.instrument(code);
+                const instrumentedResult = this.codeInstrumenter.instrument(code, {
+                    skipFunctionLines: visualization.skippedFunctions.map(skipped => skipped.line)
+                });
                 const completeInstrumentedCode = this.codeInstrumenter.getCompleteInstrumentedCode();
                 console.log('[DEBUG] Step 1: Instrumentation complete');
                 console.log('[DEBUG] Instrumented code to be compiled:\n', completeInstrumentedCode);
 
-                // Step 2: Compile and run locally
-                console.log('[DEBUG] Step 2: Compiling and executing locally...');
-                const sourceFile = tmp.tmpNameSync({ postfix: '.cpp' });
-                const exeFile = sourceFile.replace(/\.cpp$/, '.exe');
-                fs.writeFileSync(sourceFile, completeInstrumentedCode);
+                // Step 2: Compile and run in the sandbox
+                console.log('[DEBUG] Step 2: Compiling and executing...');
+                // No source echo: those lines would show the instrumented code
+                const compileResult = await this.sandbox.compile(workspace, completeInstrumentedCode, {
+                    profile: options.profile,
+                    flags: ['-fno-diagnostics-show-caret', ...this.diagnosticFlags(options)],
+                    variant: `instrumented-v${CodeInstrumenter.VERSION}`,
+                    sanitize: options.sanitize
+                });
+                const compileError = compileResult.success ? null : compileResult.stderr;
+                // Diagnostics with locations in the user's code
+                const diagnostics = new DiagnosticsParser(compileResult.sourceFile)
+                    .parse(compileResult.stderr, this.codeInstrumenter.sourceMap);
 
-                let compileError = null;
                 let executionResult = { success: false, stdout: '', stderr: '', exitCode: null, executionTime: 0 };
-
-                await new Promise((resolve) => {
-                    exec(`g++ -std=c++20 "${sourceFile}" -o "${exeFile}"`, (err, stdout, stderr) => {
-                        if (err) {
-                            compileError = stderr;
-                            resolve();
-                        } else {
-                            const child = spawn(exeFile, [], { stdio: ['pipe', 'pipe', 'pipe'] });
-                            let output = '';
-                            let error = '';
-                            child.stdout.on('data', (data) => { output += data.toString(); });
-                            child.stderr.on('data', (data) => { error += data.toString(); });
-                            child.on('close', (code) => {
-                                executionResult = {
-                                    success: true,
-                                    stdout: output,
-                                    stderr: error,
-                                    exitCode: code,
-                                    executionTime: 0 // You can add timing if needed
-                                };
-                                resolve();
-                            });
-                            if (input) {
-                                child.stdin.write(input);
-                            }
-                            child.stdin.end();
-                        }
+                if (!compileError) {
+                    const run = await this.sandbox.run(workspace, {
+                        input,
+                        env: this.traceLimitEnv(options.traceLimits),
+                        limits: options.runLimits,
+                        sanitize: options.sanitize
                     });
-                });
+                    executionResult = { success: true, ...run };
+                }
 
                 if (compileError) {
-                    // Handle compilation error
+                    if (diagnostics.injectedError) {
+                        // The instrumentation itself doesn't compile; the user's code may well
+                        console.log('[DEBUG] Instrumented code failed to compile, retrying without instrumentation');
+                        return {
+                            ...(await this.executeWithoutInstrumentation(code, input, workspace, options)),
+                            visualization: {
+                                ...visualization,
+                                visualizable: false,
+                                partial: false,
+                                reason: 'The instrumented program did not compile'
+                            }
+                        };
+                    }
                     return {
                         success: false,
-                        error: compileError,
+                        error: diagnostics.text,
+                        diagnostics: diagnostics.diagnostics,
+                        visualization,
+                        profile: compileResult.profile,
+                        usage: { compile: compileResult.usage, run: null },
                         executionTrace: null
                     };
                 }
 
+                // Sanitizer reports and failed asserts in stderr name lines of the
+                // instrumented code; show the user's lines instead
+                const stderr = this.codeInstrumenter.sourceMap.translateLocations(executionResult.stderr, compileResult.sourceFile);
+
                 // Step 3: Parse execution logs
                 console.log('[DEBUG] Step 3: Parsing execution logs...');
-                const executionData = this.logParser.parseLogs(executionResult.stderr);
+                const executionData = this.logParser.parseLogs(executionResult.trace, stderr);
                 console.log('[DEBUG] Step 3: Log parsing complete');
 
                 // Step 4: Create comprehensive execution trace
@@ -146,12 +143,27 @@ class ExecutionPipeline {
                 const executionTrace = this.createExecutionTrace(executionData, executionResult) || {};
                 console.log('[DEBUG] Step 4: Execution trace created');
 
+                const sanitizerReports = options.sanitize
+                    ? this.sanitizerReports(executionResult, compileResult.sourceFile, this.codeInstrumenter.sourceMap, executionTrace)
+                    : [];
+
                 return {
                     success: true,
                     stdout: executionResult.stdout,
-                    stderr: executionResult.stderr,
+                    stderr,
                     exitCode: executionResult.exitCode,
+                    status: sanitizerReports.length > 0 ? ProcessRunner.STATUS.SANITIZER : executionResult.status,
+                    signal: executionResult.signal,
+                    sanitizerReports,
                     executionTime: executionResult.executionTime,
+                    // Wall, CPU and peak memory of the build and of the run
+                    usage: { compile: compileResult.usage, run: executionResult.usage },
+                    cached: compileResult.cached,
+                    profile: compileResult.profile,
+                    // Warnings from the build, kept even though it succeeded
+                    compilerOutput: diagnostics.text,
+                    diagnostics: diagnostics.diagnostics,
+                    visualization,
                     workspace: workspace.path,
                     // Phase 3: Comprehensive execution data
                     executionTrace: executionTrace,
@@ -159,63 +171,10 @@ class ExecutionPipeline {
                     originalCode: code
                 };
             } else {
-                // For complex code, just compile and run, return only output
-                console.log('[DEBUG] Complex code detected, skipping instrumentation. Compiling and running...');
-                const sourceFile = tmp.tmpNameSync({ postfix: '.cpp' });
-                const exeFile = sourceFile.replace(/\.cpp$/, '.exe');
-                fs.writeFileSync(sourceFile, code);
-
-                let compileError = null;
-                let executionResult = { success: false, stdout: '', stderr: '', exitCode: null, executionTime: 0 };
-
-                await new Promise((resolve) => {
-                    exec(`g++ -std=c++20 "${sourceFile}" -o "${exeFile}"`, (err, stdout, stderr) => {
-                        if (err) {
-                            compileError = stderr;
-                            resolve();
-                        } else {
-                            const child = spawn(exeFile, [], { stdio: ['pipe', 'pipe', 'pipe'] });
-                            let output = '';
-                            let error = '';
-                            child.stdout.on('data', (data) => { output += data.toString(); });
-                            child.stderr.on('data', (data) => { error += data.toString(); });
-                            child.on('close', (code) => {
-                                executionResult = {
-                                    success: true,
-                                    stdout: output,
-                                    stderr: error,
-                                    exitCode: code,
-                                    executionTime: 0
-                                };
-                                resolve();
-                            });
-                            if (input) {
-                                child.stdin.write(input);
-                            }
-                            child.stdin.end();
-                        }
-                    });
-                });
-
-                if (compileError) {
-                    return {
-                        success: false,
-                        error: compileError,
-                        executionTrace: null
-                    };
-                }
-
-                // Return only output, no visualization
+                console.log('[DEBUG] Nothing the instrumenter can trace, skipping instrumentation. Compiling and running...');
                 return {
-                    success: true,
-                    stdout: executionResult.stdout,
-                    stderr: executionResult.stderr,
-                    exitCode: executionResult.exitCode,
-                    executionTime: executionResult.executionTime,
-                    workspace: workspace.path,
-                    executionTrace: null,
-                    instrumentedCode: code,
-                    originalCode: code
+                    ...(await this.executeWithoutInstrumentation(code, input, workspace, options)),
+                    visualization
                 };
             }
         } catch (error) {
@@ -233,18 +192,115 @@ class ExecutionPipeline {
         }
     }
 
+    // Environment for the instrumented program: the default limits with any overrides
+    traceLimitEnv(overrides = {}) {
+        const env = {};
+        for (const [name, variable] of Object.entries(CodeInstrumenter.TRACE_LIMIT_ENV)) {
+            const value = Number(overrides[name] ?? this.traceLimits[name]);
+            if (Number.isFinite(value) && value > 0) {
+                env[variable] = String(Math.floor(value));
+            }
+        }
+        return env;
+    }
+
+    // Ask the profile's compiler for output DiagnosticsParser can read
+    diagnosticFlags(options) {
+        return DiagnosticsParser.flags((options.profile || CompilerProfile.DEFAULT).compiler);
+    }
+
+    // Structured sanitizer reports from the run. Sanitizer builds stop at the
+    // first error, so that report points at the last step traced before it,
+    // unless the trace had stopped recording by then.
+    sanitizerReports(executionResult, sourceFile, sourceMap = null, executionTrace = null) {
+        const reports = new SanitizerParser(sourceFile).parse(executionResult.stderr, sourceMap);
+        const truncated = executionTrace && executionTrace.truncated;
+        const endsAtFault = !truncated || (['killed', 'exited'].includes(truncated.reason) && !truncated.summarizing);
+        if (reports.length > 0 && executionTrace && endsAtFault && executionTrace.steps.length > 0) {
+            reports[0].stepNumber = executionTrace.steps[executionTrace.steps.length - 1].stepNumber;
+        }
+        return reports;
+    }
+
+    // Compile and run the code as written, returning only its output
+    async executeWithoutInstrumentation(code, input, workspace, options = {}) {
+        const compileResult = await this.sandbox.compile(workspace, code, {
+            profile: options.profile,
+            flags: this.diagnosticFlags(options),
+            sanitize: options.sanitize
+        });
+        const compileError = compileResult.success ? null : compileResult.stderr;
+        const diagnostics = new DiagnosticsParser(compileResult.sourceFile).parse(compileResult.stderr);
+
+        let executionResult = { success: false, stdout: '', stderr: '', exitCode: null, executionTime: 0 };
+        if (!compileError) {
+            const run = await this.sandbox.run(workspace, {
+                input,
+                limits: options.runLimits,
+                sanitize: options.sanitize
+            });
+            executionResult = { success: true, ...run };
+        }
+
+        if (compileError) {
+            return {
+                success: false,
+                error: diagnostics.text,
+                diagnostics: diagnostics.diagnostics,
+                profile: compileResult.profile,
+                usage: { compile: compileResult.usage, run: null },
+                executionTrace: null
+            };
+        }
+
+        const sanitizerReports = options.sanitize ? this.sanitizerReports(executionResult, compileResult.sourceFile) : [];
+
+        // Return only output, no visualization
+        return {
+            success: true,
+            stdout: executionResult.stdout,
+            stderr: executionResult.stderr,
+            exitCode: executionResult.exitCode,
+            status: sanitizerReports.length > 0 ? ProcessRunner.STATUS.SANITIZER : executionResult.status,
+            signal: executionResult.signal,
+            sanitizerReports,
+            executionTime: executionResult.executionTime,
+            usage: { compile: compileResult.usage, run: executionResult.usage },
+            cached: compileResult.cached,
+            profile: compileResult.profile,
+            compilerOutput: diagnostics.text,
+            diagnostics: diagnostics.diagnostics,
+            workspace: workspace.path,
+            executionTrace: null,
+            instrumentedCode: code,
+            originalCode: code
+        };
+    }
+
     createExecutionTrace(executionData, executionResult) {
         const trace = {
             // Basic execution info
             totalSteps: executionData.steps.length,
             executionTime: executionResult.executionTime,
             exitCode: executionResult.exitCode,
+            status: executionResult.status,
+            usage: executionResult.usage,
+            executionSummary: {
+                ...executionData.executionSummary,
+                executionTime: executionResult.executionTime,
+                cpuTimeMs: executionResult.usage.cpuTimeMs,
+                peakMemoryBytes: executionResult.usage.peakMemoryBytes
+            },
             
+            // Set when the trace hit a limit and stops before the program did,
+            // or when the program was stopped before it finished
+            truncated: executionData.truncated || this.unfinishedTrace(executionData, executionResult),
+
             // Step-by-step execution
             steps: executionData.steps.map((step, index) => ({
                 ...step,
                 stepNumber: index + 1,
-                timestamp: this.calculateTimestamp(index, executionResult.executionTime)
+                timestamp: this.calculateTimestamp(index, executionResult.executionTime, executionData.steps.length)
             })),
             
             // Variable state tracking
@@ -270,6 +326,26 @@ class ExecutionPipeline {
         return trace;
     }
 
+    // A run that was killed (time or memory limit, crash) or left main without
+    // returning has a trace that simply stops. atStep is the last step recorded;
+    // if a loop was being summarized, the program ran on for a while after it.
+    unfinishedTrace(executionData, executionResult) {
+        const steps = executionData.steps;
+        const isMain = step => step.function && step.function.name === 'main';
+        const finished = !steps.some(step => step.type === 'function_enter' && isMain(step))
+            || steps.some(step => step.type === 'function_exit' && isMain(step));
+        if (executionResult.status === ProcessRunner.STATUS.OK && finished) return null;
+        const last = steps[steps.length - 1];
+        return {
+            reason: executionResult.status === ProcessRunner.STATUS.OK ? 'exited' : 'killed',
+            status: executionResult.status,
+            line: last ? last.line : null,
+            steps: steps.length,
+            atStep: last ? steps.length : null,
+            summarizing: executionData.summarizingLoops.length > 0
+        };
+    }
+
     trackVariableStates(steps) {
         const variableStates = [];
         const currentVariables = new Map();
@@ -304,6 +380,45 @@ class ExecutionPipeline {
                         allVariables: new Map(currentVariables)
                     });
                 }
+            } else if (step.type === 'trace_var') {
+                // Traced variables are keyed by frame and scope, so shadowed names stay apart
+                const key = step.variable.key;
+                const varInfo = currentVariables.get(key);
+                if (varInfo) {
+                    varInfo.value = step.variable.value;
+                    varInfo.line = step.line;
+                    varInfo.path = step.variable.path;
+                } else {
+                    currentVariables.set(key, {
+                        name: step.variable.name,
+                        scope: step.variable.scope,
+                        frame: step.variable.frame,
+                        value: step.variable.value,
+                        path: step.variable.path,
+                        line: step.line,
+                        stepNumber: index + 1
+                    });
+                }
+                variableStates.push({
+                    stepNumber: index + 1,
+                    action: varInfo ? 'assigned' : 'declared',
+                    variable: currentVariables.get(key),
+                    allVariables: new Map(currentVariables)
+                });
+            } else if (step.type === 'scope_exit' || step.type === 'loop_exit' || step.type === 'function_exit') {
+                const frame = step.type === 'function_exit' ? step.function.frameId : step.frame;
+                for (const [key, varInfo] of currentVariables.entries()) {
+                    const inFrame = (varInfo.frame || 0) === (frame || 0);
+                    if (inFrame && (step.type === 'function_exit' || varInfo.scope === step.scope)) {
+                        currentVariables.delete(key);
+                        variableStates.push({
+                            stepNumber: index + 1,
+                            action: 'dropped',
+                            variable: varInfo,
+                            allVariables: new Map(currentVariables)
+                        });
+                    }
+                }
             }
         });
 
@@ -318,42 +433,88 @@ class ExecutionPipeline {
             branches: []
         };
 
-        let currentBranch = null;
-        let loopIterations = new Map();
+        // Loop id -> { loop info, runs }, where each run is one execution of the loop
+        const loopTable = new Map();
+        // Loop id -> stack of runs not yet exited (a loop can be re-entered through recursion)
+        const openRuns = new Map();
+        // Frame id -> function call waiting for its exit step
+        const openCalls = new Map();
 
         steps.forEach((step, index) => {
             if (step.type === 'if_condition') {
-                currentBranch = {
-                    type: 'if',
+                controlFlow.ifStatements.push({
+                    type: step.chainIndex > 0 ? 'else_if' : 'if',
                     condition: step.condition,
                     line: step.line,
                     stepNumber: index + 1,
-                    taken: true // We'll determine this based on execution
-                };
-                controlFlow.ifStatements.push(currentBranch);
-            } else if (step.type === 'else_branch') {
-                if (currentBranch) {
-                    currentBranch.taken = false;
+                    value: step.value,
+                    taken: step.value,
+                    branch: step.branch,
+                    chainLine: step.chainLine,
+                    chainIndex: step.chainIndex
+                });
+                // The else branch is recorded by its own else_branch step
+                if (step.branch === 'then' || step.branch === 'none') {
+                    controlFlow.branches.push({
+                        type: step.branch,
+                        line: step.line,
+                        stepNumber: index + 1
+                    });
                 }
+            } else if (step.type === 'else_branch') {
                 controlFlow.branches.push({
                     type: 'else',
                     line: step.line,
                     stepNumber: index + 1
                 });
-            } else if (step.type === 'for_loop' || step.type === 'while_loop') {
-                const loopKey = `${step.type}_${step.line}`;
-                if (!loopIterations.has(loopKey)) {
-                    loopIterations.set(loopKey, 0);
+            } else if (step.type === 'loop_enter') {
+                if (!loopTable.has(step.loopId)) {
+                    loopTable.set(step.loopId, {
+                        loopId: step.loopId,
+                        type: step.loopType,
+                        condition: step.condition,
+                        line: step.line,
+                        runs: []
+                    });
+                }
+                const run = {
+                    startStep: index + 1,
+                    endStep: null,
+                    iterations: [],
+                    totalIterations: 0,
+                    // Iterations left out of the trace by loop summarizing
+                    skippedIterations: 0,
+                    exitReason: null
+                };
+                // do-while starts its first iteration without a check
+                if (step.iteration > 0) {
+                    run.iterations.push({ iteration: step.iteration, stepNumber: index + 1, line: step.line });
+                }
+                loopTable.get(step.loopId).runs.push(run);
+                if (!openRuns.has(step.loopId)) {
+                    openRuns.set(step.loopId, []);
+                }
+                openRuns.get(step.loopId).push(run);
+            } else if (step.type === 'for_loop' || step.type === 'while_loop' || step.type === 'do_while_loop') {
+                const runs = openRuns.get(step.loopId);
+                const run = runs && runs[runs.length - 1];
+                if (run && step.value) {
+                    run.iterations.push({ iteration: step.iteration, stepNumber: index + 1, line: step.line });
+                }
+            } else if (step.type === 'loop_summary') {
+                const runs = openRuns.get(step.loopId);
+                const run = runs && runs[runs.length - 1];
+                if (run) {
+                    run.skippedIterations = step.skippedIterations;
+                }
+            } else if (step.type === 'loop_exit') {
+                const runs = openRuns.get(step.loopId);
+                const run = runs && runs.pop();
+                if (run) {
+                    run.endStep = index + 1;
+                    run.totalIterations = step.iterations;
+                    run.exitReason = step.reason;
                 }
-                loopIterations.set(loopKey, loopIterations.get(loopKey) + 1);
-                
-                controlFlow.loops.push({
-                    type: step.type,
-                    condition: step.condition,
-                    line: step.line,
-                    stepNumber: index + 1,
-                    iteration: loopIterations.get(loopKey)
-                });
             } else if (step.type === 'function_call') {
                 controlFlow.functionCalls.push({
                     name: step.function.name,
@@ -361,9 +522,30 @@ class ExecutionPipeline {
                     line: step.line,
                     stepNumber: index + 1
                 });
+            } else if (step.type === 'function_enter') {
+                const call = {
+                    name: step.function.name,
+                    arguments: step.function.parameters,
+                    line: step.line,
+                    stepNumber: index + 1,
+                    frameId: step.function.frameId,
+                    depth: step.function.depth,
+                    returnValue: null,
+                    returnStep: null
+                };
+                controlFlow.functionCalls.push(call);
+                openCalls.set(call.frameId, call);
+            } else if (step.type === 'function_exit') {
+                const call = openCalls.get(step.function.frameId);
+                if (call) {
+                    call.returnValue = step.function.returnValue;
+                    call.returnStep = index + 1;
+                    openCalls.delete(step.function.frameId);
+                }
             }
         });
 
+        controlFlow.loops = [...loopTable.values()];
         return controlFlow;
     }
 
@@ -376,43 +558,22 @@ class ExecutionPipeline {
         }));
     }
 
-    calculateTimestamp(stepIndex, totalExecutionTime) {
-        // Estimate timestamp based on step position and total execution time
-        const stepDuration = totalExecutionTime / Math.max(1, stepIndex + 1);
-        return stepIndex * stepDuration;
+    calculateTimestamp(stepIndex, totalExecutionTime, totalSteps) {
+        // Estimate: steps spread evenly over the measured run time
+        return (totalExecutionTime * stepIndex) / Math.max(1, totalSteps);
     }
 
     async createWorkspace() {
-        return new Promise((resolve, reject) => {
-            tmp.dir({
-                prefix: 'cpp-execution-',
-                unsafeCleanup: true
-            }, (err, path, cleanupCallback) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({
-                        path,
-                        cleanup: cleanupCallback
-                    });
-                }
-            });
-        });
+        return this.sandbox.createWorkspace();
     }
 
     cleanupWorkspace(workspace) {
-        try {
-            if (workspace && workspace.cleanup) {
-                workspace.cleanup();
-            }
-        } catch (error) {
-            console.error('Error cleaning up workspace:', error);
-        }
+        return this.sandbox.releaseWorkspace(workspace);
     }
 
     async cleanup() {
-        // No Docker cleanup needed in local mode
+        await this.sandbox.cleanup();
     }
 }
 
-module.exports = ExecutionPipeline; 
\ No newline at end of file
+module.exports = ExecutionPipeline;
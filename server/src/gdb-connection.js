@@ -0,0 +1,94 @@
+const EventEmitter = require('events');
+const MiParser = require('./mi-parser');
+
+// Talks GDB/MI to a GDB process, or to the docker backend's stand-in for one.
+// Every command goes out with a numbered token and send() resolves with the
+// results of the result record carrying that token, or rejects with GDB's
+// error message. Records nobody asked for are emitted:
+//   'exec', 'status', 'notify'  async records: { class, results }
+//   'stream'                    console/target/log text: { type, text }
+//   'output'                    lines that aren't MI (the program's own output)
+//   'close'                     GDB is gone; pending commands were rejected
+class GdbConnection extends EventEmitter {
+    constructor(gdb) {
+        super();
+        this.gdb = gdb;
+        this.nextToken = 1;
+        this.pending = new Map();
+        this.partialLine = '';
+        this.closed = false;
+        gdb.stdout.on('data', data => this.receive(data.toString()));
+        gdb.on('close', () => this.close());
+        // e.g. gdb isn't installed
+        gdb.on('error', error => this.close(error));
+    }
+
+    // MI c-string argument, for expressions in commands
+    static quote(text) {
+        return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    send(command) {
+        if (this.closed || !this.gdb.stdin.writable) {
+            return Promise.reject(new Error('GDB is not running'));
+        }
+        const token = this.nextToken++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(token, { command, resolve, reject });
+            this.gdb.stdin.write(`${token}${command}\n`);
+        });
+    }
+
+    receive(text) {
+        const lines = (this.partialLine + text).split('\n');
+        this.partialLine = lines.pop();
+        for (const line of lines) {
+            this.handle(MiParser.parse(line.replace(/\r$/, '')));
+        }
+    }
+
+    handle(record) {
+        switch (record.type) {
+            case 'result': {
+                const pending = this.pending.get(record.token);
+                if (!pending) return;
+                this.pending.delete(record.token);
+                if (record.class === 'error') {
+                    pending.reject(new Error(record.results.msg || `${pending.command} failed`));
+                } else {
+                    pending.resolve(record.results);
+                }
+                return;
+            }
+            case 'exec':
+            case 'status':
+            case 'notify':
+                this.emit(record.type, { class: record.class, results: record.results });
+                return;
+            case 'console':
+            case 'target':
+            case 'log':
+                this.emit('stream', record);
+                return;
+            case 'output':
+                this.emit('output', record.text);
+                return;
+        }
+    }
+
+    kill() {
+        this.gdb.kill();
+    }
+
+    close(error = null) {
+        if (this.closed) return;
+        this.closed = true;
+        for (const { reject } of this.pending.values()) {
+            reject(error || new Error('GDB exited'));
+        }
+        this.pending.clear();
+        this.emit('close', error);
+    }
+}
+
+module.exports = GdbConnection;
@@ -4,15 +4,19 @@ const WebSocket = require('ws');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { v4: uuidv4 } = require('uuid');
-const tmp = require('tmp');
-const { spawn, exec } = require('child_process');
-const path = require('path');
-const fs = require('fs');
 const cron = require('node-cron');
 
 // Import new modules
 const CompilationPipeline = require('./compilation-pipeline');
 const ExecutionPipeline = require('./execution-pipeline');
+const Sandbox = require('./sandbox');
+const CompilerProfile = require('./compiler-profile');
+const SanitizerParser = require('./sanitizer-parser');
+const ProcessRunner = require('./process-runner');
+const BreakpointTable = require('./breakpoint-table');
+const GdbConnection = require('./gdb-connection');
+const WatchTable = require('./watch-table');
+const VariableObjects = require('./variable-objects');
 
 const app = express();
 const server = http.createServer(app);
@@ -37,9 +41,10 @@ app.use(bodyParser.json());
 // Store active debugging sessions
 const sessions = new Map();
 
-// Initialize pipelines
-const compilationPipeline = new CompilationPipeline();
-const executionPipeline = new ExecutionPipeline();
+// Initialize pipelines; every route compiles and runs through the same sandbox
+const sandbox = Sandbox.create();
+const compilationPipeline = new CompilationPipeline(sandbox);
+const executionPipeline = new ExecutionPipeline(sandbox);
 
 // Cleanup old containers every 5 minutes
 cron.schedule('*/5 * * * *', async () => {
@@ -415,7 +420,17 @@ class CppVisualizer {
 // WebSocket connection handler
 wss.on('connection', (ws) => {
     const sessionId = uuidv4();
-    sessions.set(sessionId, { ws, visualizer: null, gdb: null });
+    sessions.set(sessionId, {
+        ws,
+        visualizer: null,
+        gdb: null,
+        // Releases the workspace of the program gdb debugs
+        gdbRelease: null,
+        // Outlive each GDB process, so every run of the code stops in the same places
+        breakpoints: new BreakpointTable(Sandbox.SOURCE_FILE),
+        watches: new WatchTable(),
+        variableObjects: new VariableObjects()
+    });
 
     ws.on('message', async (message) => {
         const data = JSON.parse(message);
@@ -428,7 +443,7 @@ wss.on('connection', (ws) => {
                 handleDryRun(sessionId, data.code, data.input || "");
                 break;
             case 'run':
-                handleRun(sessionId, data.code, data.input || "");
+                handleRun(sessionId, data.code, data.input || "", data.profile, data.sanitize === true);
                 break;
             case 'start':
                 handleStart(sessionId);
@@ -443,13 +458,44 @@ wss.on('connection', (ws) => {
                 handleStop(sessionId);
                 break;
             case 'gdbDebug':
-                handleGdbDebug(sessionId, data.code, data.input || "");
+                handleGdbDebug(sessionId, data.code, data.input || "", data.profile, data.breakpoints, data.watches);
                 break;
             case 'gdbStep':
-                handleGdbStep(sessionId);
-                break;
+            case 'gdbStepInto':
+            case 'gdbStepOut':
             case 'gdbContinue':
-                handleGdbContinue(sessionId);
+                handleGdbExecution(sessionId, data.type, GDB_EXECUTION_COMMANDS[data.type]);
+                break;
+            case 'gdbRunToLine':
+                handleGdbRunToLine(sessionId, data.line);
+                break;
+            case 'gdbPause':
+                handleGdbPause(sessionId);
+                break;
+            case 'gdbAddBreakpoint':
+                handleAddBreakpoint(sessionId, data);
+                break;
+            case 'gdbRemoveBreakpoint':
+                handleRemoveBreakpoint(sessionId, data.line);
+                break;
+            case 'gdbEnableBreakpoint':
+            case 'gdbDisableBreakpoint':
+                handleEnableBreakpoint(sessionId, data.line, data.type === 'gdbEnableBreakpoint');
+                break;
+            case 'gdbEvaluate':
+                handleGdbEvaluate(sessionId, data.expression);
+                break;
+            case 'gdbSetWatches':
+                handleSetWatches(sessionId, data.expressions);
+                break;
+            case 'gdbAddWatchpoint':
+                handleAddWatchpoint(sessionId, data.expression, data.access || 'write');
+                break;
+            case 'gdbRemoveWatchpoint':
+                handleRemoveWatchpoint(sessionId, data.number);
+                break;
+            case 'gdbExpandVariable':
+                handleExpandVariable(sessionId, data.varobj);
                 break;
         }
     });
@@ -554,10 +600,16 @@ function handleStop(sessionId) {
     if (session.visualizer) {
         session.visualizer.reset();
     }
-    if (session.gdb) {
-        session.gdb.kill();
-        session.gdb = null;
-    }
+    stopGdb(session);
+}
+
+// Kill the session's GDB, if it has one, and release the workspace it debugged
+function stopGdb(session) {
+    if (!session.gdb) return;
+    session.gdb.kill();
+    session.gdbRelease();
+    session.gdb = null;
+    session.gdbWaitingForCommand = false;
 }
 
 // Check if code is eligible for dry run (only main() with simple loops/conditionals)
@@ -623,232 +675,633 @@ function handleDryRun(sessionId, code, input = "") {
     }
 }
 
-function handleRun(sessionId, code, input = "") {
+// Validated compiler profile for a WebSocket command, or null after reporting why not
+function sessionProfile(session, requested) {
+    const validation = CompilerProfile.validate(requested || {});
+    if (!validation.isValid) {
+        session.ws.send(JSON.stringify({
+            type: 'compileError',
+            error: `Invalid compiler profile: ${validation.errors.join('; ')}`
+        }));
+        return null;
+    }
+    return validation.profile;
+}
+
+async function handleRun(sessionId, code, input = "", requestedProfile = null, sanitize = false) {
     const session = sessions.get(sessionId);
     if (!session) return;
-    // Save code to temp file, compile and run, return output
-    tmp.file({ postfix: '.cpp' }, (err, tempFilePath, fd, cleanupCallback) => {
-        if (err) {
+    const profile = sessionProfile(session, requestedProfile);
+    if (!profile) return;
+    // Compile and run in the sandbox, return output
+    let workspace = null;
+    try {
+        workspace = await sandbox.createWorkspace();
+        const compileResult = await sandbox.compile(workspace, code, { profile, sanitize });
+        if (!compileResult.success) {
             session.ws.send(JSON.stringify({
                 type: 'compileError',
-                error: 'Temp file error'
+                error: compileResult.stderr || 'Compilation failed',
+                profile: compileResult.profile
             }));
             return;
         }
-        fs.writeFileSync(tempFilePath, code);
-        const exePath = tempFilePath.replace(/\.cpp$/, '.exe');
-        exec(`g++ -std=c++20 "${tempFilePath}" -o "${exePath}"`, (compileErr, stdout, stderr) => {
-            if (compileErr) {
-                session.ws.send(JSON.stringify({
-                    type: 'compileError',
-                    error: stderr || 'Compilation failed'
-                }));
-                cleanupCallback();
-                return;
-            }
-            // Run the executable
-            const child = spawn(exePath, [], { stdio: ['pipe', 'pipe', 'pipe'] });
-            let output = '';
-            child.stdout.on('data', (data) => { output += data.toString(); });
-            child.stderr.on('data', (data) => { output += data.toString(); });
-            child.on('close', (code) => {
-                session.ws.send(JSON.stringify({
-                    type: 'runOutput',
-                    output
-                }));
-                cleanupCallback();
-            });
-            if (input) {
-                child.stdin.write(input);
-            }
-            child.stdin.end();
-        });
-    });
+        // Runs under the advertised time, memory and output limits
+        const result = await sandbox.run(workspace, { input, sanitize });
+        const sanitizerReports = sanitize ? new SanitizerParser(compileResult.sourceFile).parse(result.stderr) : [];
+        session.ws.send(JSON.stringify({
+            type: 'runOutput',
+            output: result.stdout + result.stderr,
+            status: sanitizerReports.length > 0 ? ProcessRunner.STATUS.SANITIZER : result.status,
+            sanitizerReports,
+            exitCode: result.exitCode,
+            signal: result.signal,
+            cached: compileResult.cached,
+            profile: compileResult.profile,
+            usage: { compile: compileResult.usage, run: result.usage }
+        }));
+    } catch (error) {
+        session.ws.send(JSON.stringify({
+            type: 'compileError',
+            error: error.message
+        }));
+    } finally {
+        if (workspace) sandbox.releaseWorkspace(workspace);
+    }
 }
 
 // GDB Debug Handler
-function handleGdbDebug(sessionId, code, input = "") {
+async function handleGdbDebug(sessionId, code, input = "", requestedProfile = null, requestedBreakpoints = undefined, requestedWatches = undefined) {
     const session = sessions.get(sessionId);
     if (!session) return;
-    tmp.file({ postfix: '.cpp' }, (err, tempFilePath, fd, cleanupCallback) => {
-        if (err) {
+    const profile = sessionProfile(session, requestedProfile);
+    if (!profile) return;
+    // Without a list, the session's breakpoints from the last run are used again
+    if (requestedBreakpoints !== undefined) {
+        const breakpoints = sessionBreakpoints(session, requestedBreakpoints);
+        if (!breakpoints) return;
+        session.breakpoints = breakpoints;
+    }
+    if (requestedWatches !== undefined) {
+        const validation = session.watches.setExpressions(requestedWatches);
+        if (!validation.isValid) {
+            rejectGdbCommand(session, 'gdbDebug', validation.errors.join('; '));
+            return;
+        }
+    }
+    let workspace = null;
+    let gdb;
+    try {
+        workspace = await sandbox.createWorkspace();
+        // Compiled with debug symbols, like every sandbox build
+        const compileResult = await sandbox.compile(workspace, code, { profile });
+        if (!compileResult.success) {
             session.ws.send(JSON.stringify({
                 type: 'compileError',
-                error: 'Temp file error'
+                error: compileResult.stderr || 'Compilation failed',
+                profile: compileResult.profile
             }));
+            sandbox.releaseWorkspace(workspace);
             return;
         }
-        fs.writeFileSync(tempFilePath, code);
-        const exePath = tempFilePath.replace(/\.cpp$/, '.exe');
-        // Compile with debug symbols
-        exec(`g++ -std=c++20 -g "${tempFilePath}" -o "${exePath}"`, (compileErr, stdout, stderr) => {
-            if (compileErr) {
-                session.ws.send(JSON.stringify({
-                    type: 'compileError',
-                    error: stderr || 'Compilation failed'
-                }));
-                cleanupCallback();
-                return;
-            }
-            // Start GDB in MI mode
-            const gdb = spawn('gdb', ['-q', '--interpreter=mi2', exePath]);
-            session.gdb = gdb; // Store GDB process in session
+        // Start GDB in MI mode, with the input as the program's stdin
+        gdb = await sandbox.debug(workspace, { input });
+    } catch (error) {
+        session.ws.send(JSON.stringify({
+            type: 'compileError',
+            error: error.message
+        }));
+        if (workspace) sandbox.releaseWorkspace(workspace);
+        return;
+    }
+    // Released once, by whichever of exit, close or stopGdb comes first
+    let released = false;
+    const cleanupCallback = () => {
+        if (released) return;
+        released = true;
+        sandbox.releaseWorkspace(workspace);
+    };
+    const connection = new GdbConnection(gdb);
+    // One debugger per socket: a new run replaces the last one
+    stopGdb(session);
+    session.gdb = connection; // Store GDB connection in session
+    session.gdbRelease = cleanupCallback;
+    session.gdbWaitingForCommand = false;
+    session.breakpoints.reset();
+    session.watches.reset();
+    session.variableObjects.reset();
+    // Commands whose replies nobody waits for; a failure is only worth a log line
+    const sendToGdb = (command) => connection.send(command).catch((error) => {
+        console.log(`[DEBUG] GDB: ${command}: ${error.message}`);
+    });
+    connection.on('exec', async (record) => {
+        if (record.class === 'running') {
             session.gdbWaitingForCommand = false;
-            let gdbOutput = '';
-            let stopped = false;
-            function sendToGdb(cmd) {
-                if (gdb.stdin.writable) {
-                    gdb.stdin.write(cmd + '\n');
-                }
-            }
-            gdb.stdout.on('data', (data) => {
-                gdbOutput += data.toString();
-                // Parse for breakpoint hit or step
-                if (/\*stopped,reason="breakpoint-hit"/.test(gdbOutput) || /\*stopped,reason="end-stepping-range"/.test(gdbOutput)) {
-                    // Query current frame, variables, and stack
-                    sendToGdb('-stack-info-frame');
-                    sendToGdb('-stack-list-variables --all-values');
-                    sendToGdb('-stack-list-frames');
-                    // Send step info to frontend
-                    setTimeout(() => {
-                        const state = parseGdbState(gdbOutput);
-                        session.ws.send(JSON.stringify({
-                            type: 'gdbStep',
-                            ...state
-                        }));
-                        gdbOutput = '';
-                        session.gdbWaitingForCommand = true; // Now wait for frontend command
-                    }, 100);
-                }
-                // Detect program exit
-                if (/\*stopped,reason="exited-normally"/.test(gdbOutput)) {
-                    session.ws.send(JSON.stringify({
-                        type: 'gdbComplete'
-                    }));
-                    stopped = true;
-                    gdb.kill();
-                    session.gdb = null;
-                    session.gdbWaitingForCommand = false;
-                    cleanupCallback();
-                }
-            });
-            gdb.stderr.on('data', (data) => {
-                session.ws.send(JSON.stringify({
-                    type: 'gdbError',
-                    error: data.toString()
-                }));
-            });
-            gdb.on('close', () => {
-                if (!stopped) cleanupCallback();
-                session.gdb = null; // Clear from session
+            return;
+        }
+        if (record.class !== 'stopped') return;
+        const stop = parseStopRecord(record.results);
+        // Detect program exit
+        if (stop.exited) {
+            session.ws.send(JSON.stringify({
+                type: 'gdbComplete',
+                reason: stop.reason,
+                exitCode: stop.exitCode,
+                signal: stop.signal,
+                output: sandbox.debugOutput(workspace)
+            }));
+            connection.kill();
+            cleanupCallback();
+            if (session.gdb === connection) {
+                session.gdb = null;
                 session.gdbWaitingForCommand = false;
-            });
-            // Start debugging: set a breakpoint at main and run
-            sendToGdb('-break-insert main');
-            sendToGdb('-exec-run');
-        });
+            }
+            return;
+        }
+        // GDB deletes a watchpoint whose variable went out of scope
+        if (stop.reason === 'watchpoint-scope') session.watches.remove(stop.watchpointNumber);
+        const state = await readGdbState(connection, session.variableObjects);
+        const watches = await evaluateWatches(connection, session.watches.expressions);
+        if (session.gdb !== connection) return;
+        session.ws.send(JSON.stringify({
+            type: 'gdbStep',
+            ...state,
+            watches,
+            ...stop
+        }));
+        sendBreakpointTable(session);
+        session.gdbWaitingForCommand = true; // Now wait for frontend command
     });
+    gdb.stderr.on('data', (data) => {
+        session.ws.send(JSON.stringify({
+            type: 'gdbError',
+            error: data.toString()
+        }));
+    });
+    connection.on('close', (error) => {
+        if (error) {
+            session.ws.send(JSON.stringify({
+                type: 'gdbError',
+                error: `Could not start GDB: ${error.message}`
+            }));
+        }
+        cleanupCallback();
+        if (session.gdb === connection) {
+            session.gdb = null; // Clear from session
+            session.gdbWaitingForCommand = false;
+        }
+    });
+    // Lets GDB take commands (like -exec-interrupt) while the program runs
+    sendToGdb('-gdb-set mi-async on');
+    // Variable objects show STL containers through libstdc++'s pretty printers
+    sendToGdb('-enable-pretty-printing');
+    // Start debugging at the user's breakpoints, or at the top of main when
+    // there are none, so there's something to step through
+    session.breakpoints.table().forEach(breakpoint => insertBreakpoint(session, breakpoint));
+    if (!session.breakpoints.hasEnabled()) {
+        sendToGdb('-break-insert -t main');
+    }
+    sendBreakpointTable(session);
+    sendToGdb('-exec-run');
+}
+
+// Where the program stopped: the current line, the locals and arguments of
+// the current frame, and the call stack. Frames without debug info (e.g.
+// inside the C library) have no line and no variables. The locals come as
+// variable objects (variableObjects, with variableChanges since the last
+// stop) and, for a quick look, as one value string each (variables).
+async function readGdbState(gdb, variableObjects) {
+    const [frame, locals, stack] = await Promise.all([
+        gdb.send('-stack-info-frame'),
+        gdb.send('-stack-list-variables --no-values'),
+        gdb.send('-stack-list-frames')
+    ].map(reply => reply.catch(() => null)));
+    const callStack = (stack ? stack.stack : []).map(entry => ({
+        level: parseInt(entry.level, 10),
+        func: entry.func,
+        file: entry.file,
+        fullname: entry.fullname,
+        line: entry.line ? parseInt(entry.line, 10) : null
+    }));
+    // A frame is told apart from other calls of its function by its depth
+    const frameKey = `${callStack.length > 0 ? callStack[0].func : '?'}#${callStack.length}`;
+    const { variables, changes } = await variableObjects.refresh(gdb, frameKey, locals ? locals.variables : []);
+    return {
+        currentLine: frame && frame.frame.line ? parseInt(frame.frame.line, 10) : null,
+        variables: Object.fromEntries(variables.map(variable => [variable.name, variable.value])),
+        variableObjects: variables,
+        variableChanges: changes,
+        callStack
+    };
+}
+
+// Sends an MI command whose reply only matters if it fails; the failure goes to onError
+function sendGdbCommand(session, command, onError = null) {
+    if (!session.gdb) return;
+    session.gdb.send(command).catch((error) => {
+        if (onError) onError(error);
+    });
+}
+
+function insertBreakpoint(session, breakpoint) {
+    if (!session.gdb) return;
+    session.gdb.send(session.breakpoints.insertCommand(breakpoint)).then(
+        results => session.breakpoints.resolve(breakpoint.line, { bkpt: results.bkpt }),
+        error => session.breakpoints.resolve(breakpoint.line, { error: error.message })
+    );
+}
+
+// Replies with the breakpoint table and the watchpoints, asking GDB for
+// fresh hit counts first when it's running
+function sendBreakpointTable(session) {
+    const send = () => session.ws.send(JSON.stringify({
+        type: 'gdbBreakpoints',
+        breakpoints: session.breakpoints.table(),
+        watchpoints: session.watches.table()
+    }));
+    if (!session.gdb) {
+        send();
+        return;
+    }
+    session.gdb.send('-break-list')
+        .then((results) => {
+            session.breakpoints.update(results.BreakpointTable.body);
+            session.watches.update(results.BreakpointTable.body);
+        })
+        .catch(() => {})
+        .then(send);
+}
+
+// Each watch expression's value in the current frame, or why it has none
+// (e.g. a local of another function)
+function evaluateWatches(gdb, expressions) {
+    return Promise.all(expressions.map(expression => gdb.send(WatchTable.evaluateCommand(expression)).then(
+        results => ({ expression, value: results.value, error: null }),
+        error => ({ expression, value: null, error: error.message })
+    )));
 }
 
-function handleGdbStep(sessionId) {
+// A one-off evaluation in the current frame
+function handleGdbEvaluate(sessionId, expression) {
     const session = sessions.get(sessionId);
-    if (session && session.gdb && session.gdbWaitingForCommand) {
-        session.gdb.stdin.write('-exec-next\n');
-        session.gdbWaitingForCommand = false;
+    if (!session) return;
+    const validation = WatchTable.validateExpression(expression);
+    if (!validation.isValid) {
+        rejectGdbCommand(session, 'gdbEvaluate', validation.errors.join('; '));
+        return;
+    }
+    if (!session.gdb || !session.gdbWaitingForCommand) {
+        rejectGdbCommand(session, 'gdbEvaluate', 'Expressions can only be evaluated while the program is stopped');
+        return;
     }
+    evaluateWatches(session.gdb, [validation.expression]).then(([evaluation]) => {
+        session.ws.send(JSON.stringify({
+            type: 'gdbEvaluation',
+            ...evaluation
+        }));
+    });
 }
 
-function handleGdbContinue(sessionId) {
+// Replaces the watch expressions; they're evaluated right away when the
+// program is stopped, and otherwise at the next stop
+async function handleSetWatches(sessionId, expressions) {
     const session = sessions.get(sessionId);
-    if (session && session.gdb && session.gdbWaitingForCommand) {
-        session.gdb.stdin.write('-exec-continue\n');
-        session.gdbWaitingForCommand = false;
-    }
-}
-
-// Helper to parse GDB MI output for state (very basic, can be improved)
-function parseGdbState(output) {
-    // Extract current line, variables, and call stack from MI output
-    let currentLine = null;
-    let variables = {};
-    let callStack = [];
-    // Parse current frame
-    const frameMatch = output.match(/frame=\{level="\d+",addr="[^"]+",func="([^"]+)",file="([^"]+)",fullname="([^"]+)",line="(\d+)"/);
-    if (frameMatch) {
-        currentLine = parseInt(frameMatch[4]);
-    }
-    // Parse variables
-    const varRegex = /name="([^"]+)",value="([^"]+)"/g;
-    let m;
-    while ((m = varRegex.exec(output)) !== null) {
-        variables[m[1]] = m[2];
-    }
-    // Parse call stack
-    const stackRegex = /frame=\{level="(\d+)",addr="[^"]+",func="([^"]+)",file="([^"]+)",fullname="([^"]+)",line="(\d+)"/g;
-    while ((m = stackRegex.exec(output)) !== null) {
-        callStack.push({
-            level: parseInt(m[1]),
-            func: m[2],
-            file: m[3],
-            fullname: m[4],
-            line: parseInt(m[5])
-        });
+    if (!session) return;
+    const validation = session.watches.setExpressions(expressions);
+    if (!validation.isValid) {
+        rejectGdbCommand(session, 'gdbSetWatches', validation.errors.join('; '));
+        return;
     }
-    return { currentLine, variables, callStack };
+    const watches = session.gdb && session.gdbWaitingForCommand
+        ? await evaluateWatches(session.gdb, session.watches.expressions)
+        : session.watches.expressions.map(expression => ({ expression, value: null, error: null }));
+    session.ws.send(JSON.stringify({
+        type: 'gdbWatches',
+        watches
+    }));
 }
 
-// New REST endpoints for compilation pipeline
-app.post('/api/compile', async (req, res) => {
-    try {
-        const { code, input = '' } = req.body;
-        
-        if (!code) {
-            return res.status(400).json({ error: 'Code is required' });
-        }
+// Sets a watchpoint in the current frame, so a local is watched until its
+// function returns
+function handleAddWatchpoint(sessionId, expression, access) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    const validation = WatchTable.validateExpression(expression);
+    if (!validation.isValid || !(access in WatchTable.ACCESS_FLAGS)) {
+        rejectGdbCommand(session, 'gdbAddWatchpoint', [
+            ...validation.errors,
+            ...(access in WatchTable.ACCESS_FLAGS ? [] : [`access must be one of ${Object.keys(WatchTable.ACCESS_FLAGS).join(', ')}`])
+        ].join('; '));
+        return;
+    }
+    if (!session.gdb || !session.gdbWaitingForCommand) {
+        rejectGdbCommand(session, 'gdbAddWatchpoint', 'Watchpoints can only be set while the program is stopped');
+        return;
+    }
+    session.gdb.send(WatchTable.watchCommand(validation.expression, access)).then(
+        (results) => {
+            session.watches.add(access, results);
+            sendBreakpointTable(session);
+        },
+        error => rejectGdbCommand(session, 'gdbAddWatchpoint', error.message)
+    );
+}
 
-        // Validate code first
-        const validation = await compilationPipeline.validateCode(code);
-        if (!validation.isValid) {
-            return res.status(400).json({
-                error: 'Code validation failed',
-                details: validation.errors,
-                warnings: validation.warnings
-            });
+// One level of a variable object's children, fetched when the client expands it
+function handleExpandVariable(sessionId, varobj) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    if (!session.gdb || !session.gdbWaitingForCommand) {
+        rejectGdbCommand(session, 'gdbExpandVariable', 'Variables can only be expanded while the program is stopped');
+        return;
+    }
+    if (!session.variableObjects.owns(varobj)) {
+        rejectGdbCommand(session, 'gdbExpandVariable', `Unknown variable object ${varobj}`);
+        return;
+    }
+    session.variableObjects.children(session.gdb, varobj).then(
+        ({ children, hasMore }) => session.ws.send(JSON.stringify({
+            type: 'gdbVariableChildren',
+            varobj,
+            children,
+            hasMore
+        })),
+        error => rejectGdbCommand(session, 'gdbExpandVariable', error.message)
+    );
+}
+
+function handleRemoveWatchpoint(sessionId, number) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    const removed = session.watches.remove(number);
+    if (!removed) {
+        rejectGdbCommand(session, 'gdbRemoveWatchpoint', `No watchpoint ${number}`);
+        return;
+    }
+    sendGdbCommand(session, `-break-delete ${removed.number}`);
+    sendBreakpointTable(session);
+}
+
+function sendBreakpointError(session, line, errors) {
+    session.ws.send(JSON.stringify({
+        type: 'gdbBreakpointError',
+        line,
+        error: errors.join('; ')
+    }));
+}
+
+// The breakpoints a gdbDebug request brings along (the client keeps them
+// with the code), or null after reporting why they're invalid
+function sessionBreakpoints(session, requested) {
+    if (!Array.isArray(requested) || requested.length > BreakpointTable.MAX_BREAKPOINTS) {
+        sendBreakpointError(session, null, [`breakpoints must be a list of at most ${BreakpointTable.MAX_BREAKPOINTS} breakpoints`]);
+        return null;
+    }
+    const breakpoints = new BreakpointTable(Sandbox.SOURCE_FILE);
+    const errors = [];
+    for (const options of requested) {
+        const validation = BreakpointTable.validate(options);
+        if (validation.isValid) {
+            breakpoints.set(validation.breakpoint);
+        } else {
+            errors.push(...validation.errors);
         }
+    }
+    if (errors.length > 0) {
+        sendBreakpointError(session, null, errors);
+        return null;
+    }
+    return breakpoints;
+}
 
-        // Compile and run the code
-        const result = await compilationPipeline.compileAndRun(code, input);
-        
-        res.json(result);
+// Adds or changes a breakpoint, in GDB too when it's running
+function setBreakpoint(session, options) {
+    const validation = BreakpointTable.validate(options);
+    if (!validation.isValid) {
+        sendBreakpointError(session, options.line, validation.errors);
+        return;
+    }
+    const { breakpoint } = validation;
+    if (!session.breakpoints.get(breakpoint.line) && session.breakpoints.table().length >= BreakpointTable.MAX_BREAKPOINTS) {
+        sendBreakpointError(session, breakpoint.line, [`At most ${BreakpointTable.MAX_BREAKPOINTS} breakpoints are allowed`]);
+        return;
+    }
+    const previous = session.breakpoints.set(breakpoint);
+    if (previous && previous.number !== null) {
+        session.breakpoints.updateCommands(previous, breakpoint).forEach(command => sendGdbCommand(session, command));
+    } else {
+        insertBreakpoint(session, session.breakpoints.get(breakpoint.line));
+    }
+    sendBreakpointTable(session);
+}
+
+function handleAddBreakpoint(sessionId, data) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    setBreakpoint(session, {
+        line: data.line,
+        condition: data.condition,
+        ignoreCount: data.ignoreCount,
+        enabled: data.enabled
+    });
+}
+
+function handleRemoveBreakpoint(sessionId, line) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    const removed = session.breakpoints.remove(line);
+    if (!removed) {
+        sendBreakpointError(session, line, [`No breakpoint on line ${line}`]);
+        return;
+    }
+    if (removed.number !== null) {
+        sendGdbCommand(session, session.breakpoints.deleteCommand(removed));
+    }
+    sendBreakpointTable(session);
+}
+
+function handleEnableBreakpoint(sessionId, line, enabled) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    const breakpoint = session.breakpoints.get(line);
+    if (!breakpoint) {
+        sendBreakpointError(session, line, [`No breakpoint on line ${line}`]);
+        return;
+    }
+    setBreakpoint(session, {
+        line,
+        condition: breakpoint.condition,
+        ignoreCount: breakpoint.ignoreCount,
+        enabled
+    });
+}
+
+// What the gdbStep, gdbStepInto, gdbStepOut and gdbContinue messages run
+const GDB_EXECUTION_COMMANDS = {
+    gdbStep: '-exec-next',
+    gdbStepInto: '-exec-step',
+    gdbStepOut: '-exec-finish',
+    gdbContinue: '-exec-continue'
+};
+
+// Tells the client why a command was not sent, instead of dropping it
+function rejectGdbCommand(session, command, reason) {
+    session.ws.send(JSON.stringify({
+        type: 'gdbRejected',
+        command,
+        error: reason
+    }));
+}
+
+// Runs an execution command if the program is stopped; the next stop is
+// reported like any other. GDB refusing it (e.g. finish in main) leaves the
+// program stopped where it was.
+function handleGdbExecution(sessionId, type, command) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    if (!session.gdb) {
+        rejectGdbCommand(session, type, 'No GDB session is running');
+        return;
+    }
+    if (!session.gdbWaitingForCommand) {
+        rejectGdbCommand(session, type, 'GDB is busy until the program stops; pause it or wait for the next stop');
+        return;
+    }
+    session.gdbWaitingForCommand = false;
+    sendGdbCommand(session, command, (error) => {
+        session.gdbWaitingForCommand = true;
+        rejectGdbCommand(session, type, error.message);
+    });
+}
+
+function handleGdbRunToLine(sessionId, line) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    if (!Number.isInteger(line) || line < 1) {
+        rejectGdbCommand(session, 'gdbRunToLine', 'line must be a positive integer');
+        return;
+    }
+    // Stops at the line, or when the current function returns first
+    handleGdbExecution(sessionId, 'gdbRunToLine', `-exec-until ${Sandbox.SOURCE_FILE}:${line}`);
+}
+
+function handleGdbPause(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    if (!session.gdb) {
+        rejectGdbCommand(session, 'gdbPause', 'No GDB session is running');
+        return;
+    }
+    if (session.gdbWaitingForCommand) {
+        rejectGdbCommand(session, 'gdbPause', 'The program is already stopped');
+        return;
+    }
+    // Stops with reason signal-received (SIGINT), wherever the program is
+    sendGdbCommand(session, '-exec-interrupt', (error) => {
+        rejectGdbCommand(session, 'gdbPause', error.message);
+    });
+}
+
+// Why the program stopped, from a *stopped record's results: { reason,
+// exited } plus, depending on the reason, the breakpoint number, the
+// watchpoint with the old and new value, the value a finished function
+// returned, the signal, or the exit code
+function parseStopRecord(results) {
+    const reason = results.reason || 'unknown';
+    const stop = { reason, exited: reason.startsWith('exited') };
+    if (reason === 'breakpoint-hit') stop.breakpointNumber = parseInt(results.bkptno, 10);
+    if (reason === 'function-finished') stop.returnValue = results['return-value'] || null;
+    if (reason.endsWith('watchpoint-trigger')) {
+        // wpt, hw-rwpt or hw-awpt; reads report the value, writes old and new
+        const watchpoint = results.wpt || results['hw-rwpt'] || results['hw-awpt'] || {};
+        const value = results.value || {};
+        stop.watchpoint = {
+            number: parseInt(watchpoint.number, 10),
+            expression: watchpoint.exp,
+            oldValue: value.old !== undefined ? value.old : null,
+            newValue: value.new !== undefined ? value.new : (value.value !== undefined ? value.value : null)
+        };
+    }
+    if (reason === 'watchpoint-scope') stop.watchpointNumber = parseInt(results.wpnum, 10);
+    if (reason === 'signal-received' || reason === 'exited-signalled') stop.signal = results['signal-name'] || null;
+    // GDB reports exit codes in octal
+    if (reason === 'exited') stop.exitCode = parseInt(results['exit-code'], 8);
+    if (reason === 'exited-normally') stop.exitCode = 0;
+    return stop;
+}
+
+// Validate a request for /api/compile, /api/visualize or /api/execute and run
+// it through the execution pipeline, so every route gets the same profile,
+// trace limits and fallbacks. Resolves to the pipeline's result, or to null
+// once it has answered a bad request itself.
+async function executeRequest(req, res) {
+    const { code, input = '', traceLimits = {}, profile = {}, sanitize = false } = req.body;
+
+    if (!code) {
+        console.log('[DEBUG] No code provided');
+        res.status(400).json({ error: 'Code is required' });
+        return null;
+    }
+
+    const profileValidation = CompilerProfile.validate(profile || {});
+    if (!profileValidation.isValid) {
+        res.status(400).json({
+            error: 'Invalid compiler profile',
+            details: profileValidation.errors
+        });
+        return null;
+    }
+
+    // Validate code first
+    console.log('[DEBUG] Validating code...');
+    const validation = await compilationPipeline.validateCode(code, profileValidation.profile);
+    if (!validation.isValid) {
+        console.log('[DEBUG] Code validation failed');
+        res.status(400).json({
+            error: 'Code validation failed',
+            details: validation.errors,
+            warnings: validation.warnings,
+            diagnostics: [...validation.errors, ...validation.warnings]
+        });
+        return null;
+    }
+
+    return executionPipeline.executeWithVisualization(code, input, {
+        traceLimits,
+        profile: profileValidation.profile,
+        sanitize: sanitize === true
+    });
+}
+
+// Compile and run; answers like /api/execute
+app.post('/api/compile', async (req, res) => {
+    try {
+        const result = await executeRequest(req, res);
+        if (result) res.json(result);
     } catch (error) {
         console.error('Error in compile endpoint:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Phase 2: New visualization endpoint
+// Phase 2: New visualization endpoint. Like /api/execute, with the steps
+// also under `visualization`, next to what could be traced.
 app.post('/api/visualize', async (req, res) => {
     try {
-        const { code, input = '' } = req.body;
-        
-        if (!code) {
-            return res.status(400).json({ error: 'Code is required' });
-        }
-
-        // Validate code first
-        const validation = await compilationPipeline.validateCode(code);
-        if (!validation.isValid) {
-            return res.status(400).json({
-                error: 'Code validation failed',
-                details: validation.errors,
-                warnings: validation.warnings
-            });
-        }
-
-        // Compile, run, and visualize the code
-        const result = await compilationPipeline.compileAndVisualize(code, input);
-        
-        res.json(result);
+        const result = await executeRequest(req, res);
+        if (!result) return;
+        const trace = result.executionTrace;
+        res.json({
+            ...result,
+            visualization: {
+                ...result.visualization,
+                totalSteps: trace ? trace.totalSteps : 0,
+                steps: trace ? trace.steps : [],
+                variables: trace ? trace.finalState.variables : [],
+                callStack: trace ? trace.callStack : [],
+                output: trace ? trace.finalState.output : ''
+            }
+        });
     } catch (error) {
         console.error('Error in visualize endpoint:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -859,30 +1312,10 @@ app.post('/api/visualize', async (req, res) => {
 app.post('/api/execute', async (req, res) => {
     try {
         console.log('[DEBUG] /api/execute called');
-        const { code, input = '' } = req.body;
-        
-        if (!code) {
-            console.log('[DEBUG] No code provided');
-            return res.status(400).json({ error: 'Code is required' });
-        }
-
-        // Validate code first
-        console.log('[DEBUG] Validating code...');
-        const validation = await compilationPipeline.validateCode(code);
-        if (!validation.isValid) {
-            console.log('[DEBUG] Code validation failed');
-            return res.status(400).json({
-                error: 'Code validation failed',
-                details: validation.errors,
-                warnings: validation.warnings
-            });
-        }
-
-        // Execute with comprehensive visualization
-        console.log('[DEBUG] Calling executionPipeline.executeWithVisualization...');
-        const result = await executionPipeline.executeWithVisualization(code, input);
+        const result = await executeRequest(req, res);
+        if (!result) return;
         console.log('[DEBUG] executionPipeline.executeWithVisualization returned');
-        
+
         res.json(result);
         console.log('[DEBUG] Response sent');
     } catch (error) {
@@ -906,6 +1339,16 @@ app.post('/api/analyze', async (req, res) => {
         if (!result.success) {
             return res.status(400).json(result);
         }
+        // Code the instrumenter can't trace runs without a trace to analyze
+        if (!result.executionTrace) {
+            const { reason, unsupported = [] } = result.visualization || {};
+            const constructs = [...new Set(unsupported.map(found => found.construct))];
+            return res.status(400).json({
+                success: false,
+                error: `The code could not be traced, so there is nothing to analyze: ${reason || constructs.join(', ')}`,
+                visualization: result.visualization
+            });
+        }
 
         // Extract analysis data
         const analysis = {
@@ -930,7 +1373,12 @@ app.post('/api/analyze', async (req, res) => {
             performanceMetrics: {
                 totalSteps: result.executionTrace.totalSteps,
                 executionTime: result.executionTrace.executionTime,
-                stepsPerSecond: result.executionTrace.totalSteps / (result.executionTrace.executionTime / 1000)
+                cpuTime: result.executionTrace.usage.cpuTimeMs,
+                peakMemory: result.executionTrace.usage.peakMemoryBytes,
+                // A run too short to register has no meaningful rate
+                stepsPerSecond: result.executionTrace.executionTime > 0
+                    ? result.executionTrace.totalSteps / (result.executionTrace.executionTime / 1000)
+                    : null
             }
         };
         
@@ -943,13 +1391,21 @@ app.post('/api/analyze', async (req, res) => {
 
 app.post('/api/validate', async (req, res) => {
     try {
-        const { code } = req.body;
+        const { code, profile = {} } = req.body;
         
         if (!code) {
             return res.status(400).json({ error: 'Code is required' });
         }
 
-        const validation = await compilationPipeline.validateCode(code);
+        const profileValidation = CompilerProfile.validate(profile || {});
+        if (!profileValidation.isValid) {
+            return res.status(400).json({
+                error: 'Invalid compiler profile',
+                details: profileValidation.errors
+            });
+        }
+
+        const validation = await compilationPipeline.validateCode(code, profileValidation.profile);
         res.json(validation);
     } catch (error) {
         console.error('Error in validate endpoint:', error);
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const tmp = require('tmp');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const Sandbox = require('./sandbox');
+const ProcessRunner = require('./process-runner');
+const CompilerProfile = require('./compiler-profile');
+const ResourceMeter = require('./resource-meter');
+
+// Compiles and runs on the host, with rlimits and a kill timer as the only isolation
+class LocalSandbox extends Sandbox {
+    constructor(limits = {}) {
+        super(limits);
+        this.name = 'local';
+        this.meterBuild = null;
+    }
+
+    async compilerVersion(workspace, compiler) {
+        return new Promise((resolve) => {
+            execFile(compiler, ['--version'], (error, stdout) => {
+                resolve(error ? null : stdout.split('\n')[0]);
+            });
+        });
+    }
+
+    // Built once, in a directory of its own, and shared by every workspace
+    async meter(workspace) {
+        if (!this.meterBuild) {
+            this.meterBuild = this.buildMeter().catch((error) => {
+                console.error('[DEBUG] Could not build the resource meter:', error.message);
+                return null;
+            });
+        }
+        return this.meterBuild;
+    }
+
+    buildMeter() {
+        const directory = tmp.dirSync({ prefix: 'cpp-meter-', unsafeCleanup: true }).name;
+        const launcher = path.join(directory, Sandbox.METER_FILE);
+        fs.writeFileSync(`${launcher}.cpp`, ResourceMeter.SOURCE);
+        return new Promise((resolve, reject) => {
+            execFile(CompilerProfile.DEFAULT.executable, ['-O2', `${launcher}.cpp`, '-o', launcher], (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(stderr || error.message));
+                } else {
+                    resolve(launcher);
+                }
+            });
+        });
+    }
+
+    // In a process group of its own, so a compile killed by COMPILE_LIMITS
+    // takes the compiler's subprocesses with it
+    async compileSource(workspace, compiler, flags, launcher = []) {
+        const result = await this.processRunner.run(compiler, {
+            args: [...flags, Sandbox.SOURCE_FILE, '-o', Sandbox.PROGRAM_FILE],
+            launcher,
+            cwd: workspace.path,
+            limits: Sandbox.COMPILE_LIMITS
+        });
+        const limitStatus = [ProcessRunner.STATUS.TIME_LIMIT, ProcessRunner.STATUS.OUTPUT_LIMIT].includes(result.status)
+            ? result.status
+            : null;
+        return this.compileOutcome({ ...result, limitStatus });
+    }
+
+    async runProgram(workspace, { input, env, limits, launcher }) {
+        return this.processRunner.run(path.join(workspace.path, Sandbox.PROGRAM_FILE), {
+            input,
+            env: { ...process.env, ...env },
+            limits,
+            cwd: workspace.path,
+            launcher
+        });
+    }
+
+    // GDB in MI mode on the compiled program, as a child process
+    async debug(workspace, options = {}) {
+        return spawn('gdb', this.debugArguments(workspace, options), { cwd: workspace.path });
+    }
+}
+
+module.exports = LocalSandbox;
@@ -4,6 +4,11 @@ class LogParser {
         this.currentStep = null;
         this.variables = new Map();
         this.callStack = [];
+        this.openLoops = new Map();
+        // Set when the program hit a trace limit and stopped tracing
+        this.truncated = null;
+        // Loops being summarized: nothing they run is in the trace until they end
+        this.summarizingLoops = new Set();
         this.output = '';
         this.executionMetrics = {
             totalSteps: 0,
@@ -14,18 +19,14 @@ class LogParser {
         };
     }
 
-    parseLogs(stderr) {
-        console.log('[DEBUG] Raw logs to parse:\n', stderr);
+    // trace is the content of the program's trace file; stderr is kept as the program wrote it
+    parseLogs(trace, stderr = '') {
+        console.log('[DEBUG] Raw trace to parse:\n', trace);
         this.reset();
-        const lines = stderr.split('\n');
-        
-        for (const line of lines) {
-            if (line.startsWith('LOG:')) {
-                this.parseLogLine(line);
-            } else if (line.trim()) {
-                // Regular stderr output
-                this.output += line + '\n';
-            }
+        this.output = stderr;
+
+        for (const record of this.readRecords(trace)) {
+            this.processLogEntry(record.id, record.type, record.data);
         }
 
         // Calculate execution metrics
@@ -34,8 +35,12 @@ class LogParser {
         const parsed = {
             steps: this.executionSteps,
             variables: Object.fromEntries(this.variables),
-            callStack: this.callStack,
-            output: this.output.trim(),
+            callStack: this.snapshotCallStack(),
+            output: this.output,
+            truncated: this.truncated,
+            // Loops still summarized where the trace ends; a run that died in one
+            // did so somewhere after the last step
+            summarizingLoops: [...this.summarizingLoops],
             metrics: this.executionMetrics,
             // Phase 3: Enhanced data structures
             executionSummary: this.createExecutionSummary(),
@@ -52,6 +57,11 @@ class LogParser {
         this.currentStep = null;
         this.variables.clear();
         this.callStack = [];
+        this.openLoops = new Map();
+        // Set when the program hit a trace limit and stopped tracing
+        this.truncated = null;
+        // Loops being summarized: nothing they run is in the trace until they end
+        this.summarizingLoops = new Set();
         this.output = '';
         this.executionMetrics = {
             totalSteps: 0,
@@ -62,21 +72,34 @@ class LogParser {
         };
     }
 
-    parseLogLine(line) {
-        // Format: LOG:id:type:data
-        const parts = line.split(':');
-        if (parts.length < 4) return;
-
-        const [, id, type, ...dataParts] = parts;
-        const dataString = dataParts.join(':');
-        
-        try {
-            const data = JSON.parse(dataString);
-            this.processLogEntry(parseInt(id), type, data);
-        } catch (error) {
-            console.error('Error parsing log data:', error);
-            console.error('Problematic line:', line);
+    // Format: <byte length>\n<JSON {id, type, data}>\n, repeated. A record cut short
+    // by the program dying mid-write ends the trace.
+    readRecords(trace) {
+        const buffer = Buffer.isBuffer(trace) ? trace : Buffer.from(trace || '');
+        const records = [];
+        let offset = 0;
+        while (offset < buffer.length) {
+            const newline = buffer.indexOf('\n', offset);
+            if (newline === -1) break;
+            const header = buffer.toString('utf8', offset, newline).trim();
+            offset = newline + 1;
+            if (!header) continue;
+
+            const length = parseInt(header, 10);
+            if (Number.isNaN(length) || offset + length > buffer.length) {
+                console.error('Malformed trace record header:', header);
+                break;
+            }
+            const recordString = buffer.toString('utf8', offset, offset + length);
+            offset += length;
+            try {
+                records.push(JSON.parse(recordString));
+            } catch (error) {
+                console.error('Error parsing log data:', error);
+                console.error('Problematic record:', recordString);
+            }
         }
+        return records;
     }
 
     processLogEntry(id, type, data) {
@@ -102,12 +125,21 @@ class LogParser {
             case 'DO_WHILE_LOOP':
                 this.handleDoWhileLoop(data);
                 break;
+            case 'LOOP_ENTER':
+                this.handleLoopEnter(data);
+                break;
+            case 'LOOP_EXIT':
+                this.handleLoopExit(data);
+                break;
             case 'FUNCTION_CALL':
                 this.handleFunctionCall(data);
                 break;
             case 'FUNCTION_ENTER':
                 this.handleFunctionEnter(data);
                 break;
+            case 'FUNCTION_EXIT':
+                this.handleFunctionExit(data);
+                break;
             case 'INPUT_OPERATION':
                 this.handleInputOperation(data);
                 break;
@@ -117,6 +149,24 @@ class LogParser {
             case 'TRACE_VAR':
                 this.handleTraceVar(data);
                 break;
+            case 'TRACE_POINTEE':
+                this.handleTracePointee(data);
+                break;
+            case 'SCOPE_EXIT':
+                this.handleScopeExit(data);
+                break;
+            case 'LINE':
+                this.handleLineStep(data);
+                break;
+            case 'LOOP_SUMMARIZING':
+                this.summarizingLoops.add(data.loopId);
+                break;
+            case 'LOOP_SUMMARY':
+                this.handleLoopSummary(data);
+                break;
+            case 'TRUNCATED':
+                this.handleTruncated(data);
+                break;
         }
     }
 
@@ -134,7 +184,7 @@ class LogParser {
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
         this.variables.set(data.name, {
             type: data.type,
             value: data.value,
@@ -163,7 +213,7 @@ class LogParser {
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
         // Update variable value
         if (this.variables.has(data.name)) {
             const varInfo = this.variables.get(data.name);
@@ -180,16 +230,27 @@ class LogParser {
     }
 
     handleIfCondition(data) {
+        const branchDescriptions = {
+            then: 'taking the if branch',
+            else_if: 'checking the next else-if',
+            else: 'taking the else branch',
+            none: 'skipping the if body'
+        };
         const step = {
             id: this.executionSteps.length + 1,
             line: data.line,
             type: 'if_condition',
             condition: data.condition,
-            description: `Checking condition: ${data.condition}`,
+            value: data.value,
+            branch: data.branch,
+            chainLine: data.chainLine,
+            chainIndex: data.chainIndex,
+            description: `Condition (${data.condition}) is ${data.value}, ${branchDescriptions[data.branch] || data.branch}`,
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
     }
 
     handleElseBranch(data) {
@@ -201,45 +262,97 @@ class LogParser {
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
     }
 
-    handleForLoop(data) {
+    handleLoopEnter(data) {
         const step = {
             id: this.executionSteps.length + 1,
             line: data.line,
-            type: 'for_loop',
+            type: 'loop_enter',
+            loopId: data.loopId,
+            loopType: data.loopType,
             condition: data.condition,
-            description: `Starting for loop: ${data.condition}`,
+            iteration: data.iteration,
+            description: data.loopType === 'do_while'
+                ? 'Entering do-while loop, starting iteration 1'
+                : `Entering ${data.loopType} loop`,
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
+        // A loop can be re-entered before it exits (recursion), so runs are stacked per loop
+        if (!this.openLoops.has(data.loopId)) {
+            this.openLoops.set(data.loopId, []);
+        }
+        this.openLoops.get(data.loopId).push([step]);
     }
 
-    handleWhileLoop(data) {
+    handleLoopCheck(type, label, data) {
+        const condition = data.condition || 'true';
         const step = {
             id: this.executionSteps.length + 1,
             line: data.line,
-            type: 'while_loop',
+            type,
+            loopId: data.loopId,
             condition: data.condition,
-            description: `Checking while condition: ${data.condition}`,
+            check: data.check,
+            iteration: data.iteration,
+            value: data.value,
+            description: data.value
+                ? `${label} condition (${condition}) is true, starting iteration ${data.iteration}`
+                : `${label} condition (${condition}) is false, leaving loop after ${data.iteration} iteration(s)`,
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
+        const runs = this.openLoops.get(data.loopId);
+        if (runs && runs.length > 0) {
+            runs[runs.length - 1].push(step);
+        }
+    }
+
+    handleForLoop(data) {
+        this.handleLoopCheck('for_loop', 'For', data);
+    }
+
+    handleWhileLoop(data) {
+        this.handleLoopCheck('while_loop', 'While', data);
     }
 
     handleDoWhileLoop(data) {
+        this.handleLoopCheck('do_while_loop', 'Do-while', data);
+    }
+
+    handleLoopExit(data) {
         const step = {
             id: this.executionSteps.length + 1,
             line: data.line,
-            type: 'do_while_loop',
-            description: 'Executing do-while loop body',
+            type: 'loop_exit',
+            loopId: data.loopId,
+            iterations: data.iterations,
+            reason: data.reason,
+            scope: data.scope,
+            frame: data.frame,
+            description: `Loop finished after ${data.iterations} iteration(s)${data.reason === 'break' ? ' (left early)' : ''}`,
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
+        // Variables declared in the loop header are gone once it ends
+        this.dropScope(data.frame, data.scope);
+        step.variables = this.snapshotVariables();
+        // Now that the run is over, every step in it can show "iteration k of n"
+        const runs = this.openLoops.get(data.loopId);
+        if (runs && runs.length > 0) {
+            for (const runStep of runs.pop()) {
+                runStep.totalIterations = data.iterations;
+            }
+        }
+        step.totalIterations = data.iterations;
     }
 
     handleFunctionCall(data) {
@@ -255,10 +368,12 @@ class LogParser {
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
     }
 
     handleFunctionEnter(data) {
+        const parameters = data.parameters || {};
+        const argumentList = Object.entries(parameters).map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(', ');
         const step = {
             id: this.executionSteps.length + 1,
             line: data.line,
@@ -266,14 +381,78 @@ class LogParser {
             function: {
                 name: data.name,
                 returnType: data.returnType,
-                parameters: data.parameters
+                parameters,
+                frameId: data.frameId,
+                depth: data.depth
             },
-            description: `Entering function '${data.name}'`,
+            description: `Entering function '${data.name}'${argumentList ? ` with ${argumentList}` : ''}`,
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
-        this.callStack.push(data.name);
+        this.callStack.push({
+            frameId: data.frameId,
+            func: data.name,
+            line: data.line,
+            depth: data.depth,
+            arguments: parameters
+        });
+        for (const [name, value] of Object.entries(parameters)) {
+            this.variables.set(this.variableKey(data.frameId, data.scopeId, name), {
+                name,
+                frame: data.frameId,
+                scope: data.scopeId,
+                value,
+                line: data.line,
+                declaredAt: step.id
+            });
+        }
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
+    }
+
+    handleFunctionExit(data) {
+        const hasValue = data.returnValue !== null && data.returnValue !== undefined;
+        const step = {
+            id: this.executionSteps.length + 1,
+            line: data.line,
+            type: 'function_exit',
+            function: {
+                name: data.name,
+                returnType: data.returnType,
+                returnValue: data.returnValue,
+                frameId: data.frameId,
+                depth: data.depth
+            },
+            description: `Returning from '${data.name}'${hasValue ? ` with ${JSON.stringify(data.returnValue)}` : ''}`,
+            timestamp: Date.now()
+        };
+
+        // The exit step still shows the returning frame on top
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
+        // Pop down to the exiting frame, in case an inner exit was never logged
+        const index = this.callStack.findIndex(frame => frame.frameId === data.frameId);
+        if (index !== -1) {
+            for (const frame of this.callStack.splice(index)) {
+                this.dropFrame(frame.frameId);
+            }
+        }
+    }
+
+    handleScopeExit(data) {
+        const step = {
+            id: this.executionSteps.length + 1,
+            line: data.line,
+            type: 'scope_exit',
+            scope: data.scope,
+            frame: data.frame,
+            description: `Leaving block ending at line ${data.line}`,
+            timestamp: Date.now()
+        };
+
+        this.addStep(step);
+        this.dropScope(data.frame, data.scope);
+        step.variables = this.snapshotVariables();
     }
 
     handleInputOperation(data) {
@@ -287,7 +466,7 @@ class LogParser {
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
     }
 
     handleOutputOperation(data) {
@@ -301,34 +480,200 @@ class LogParser {
             timestamp: Date.now()
         };
 
-        this.executionSteps.push(step);
+        this.addStep(step);
+    }
+
+    // Stands in for the iterations of a loop too long to trace in full, between
+    // its first ones and its last ones (traced just before this record)
+    handleLoopSummary(data) {
+        const lastSkippedIteration = data.firstSkippedIteration + data.skippedIterations - 1;
+        const keptIterations = data.lastIteration - lastSkippedIteration;
+        const step = {
+            id: this.executionSteps.length + 1,
+            line: data.line,
+            type: 'loop_summary',
+            loopId: data.loopId,
+            firstSkippedIteration: data.firstSkippedIteration,
+            skippedIterations: data.skippedIterations,
+            description: keptIterations > 0
+                ? `Skipped iterations ${data.firstSkippedIteration} to ${lastSkippedIteration} of the loop (its last ${keptIterations} are shown just before); the variables only they wrote follow with their final values`
+                : `Skipped iterations ${data.firstSkippedIteration} to ${lastSkippedIteration} of the loop; the variables they wrote follow with their final values`,
+            timestamp: Date.now()
+        };
+
+        this.summarizingLoops.delete(data.loopId);
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
+        // Keep the step in the run, so it also learns the total iteration count
+        const runs = this.openLoops.get(data.loopId);
+        if (runs && runs.length > 0) {
+            runs[runs.length - 1].push(step);
+        }
+    }
+
+    handleTruncated(data) {
+        this.truncated = {
+            reason: data.reason,
+            line: data.line,
+            steps: data.steps,
+            bytes: data.bytes
+        };
+        const step = {
+            id: this.executionSteps.length + 1,
+            line: data.line,
+            type: 'truncated',
+            reason: data.reason,
+            description: `Trace stopped here: the ${data.reason === 'steps' ? 'step' : 'size'} limit was reached, the program kept running`,
+            timestamp: Date.now()
+        };
+
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
+    }
+
+    handleLineStep(data) {
+        const step = {
+            id: this.executionSteps.length + 1,
+            line: data.line,
+            type: 'line',
+            description: `Executing line ${data.line}`,
+            timestamp: Date.now()
+        };
+
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
     }
 
     handleTraceVar(data) {
-        // data is a JSON object with name, value, and line
+        // data is a JSON object with name, value, line, the scope and frame the variable lives in,
+        // its address and size, and for element or member writes the path that changed, e.g. "[2]" or ".x"
+        const key = this.variableKey(data.frame, data.scope, data.name);
+        // A reference shares its address with the variable it's bound to
+        const aliases = this.updateAliases(key, data);
+        const description = (data.path
+            ? `Element '${data.name}${data.path}' changed, '${data.name}' is now ${JSON.stringify(data.value)}`
+            : `Variable '${data.name}' is now ${JSON.stringify(data.value)}`)
+            + (aliases.length > 0 ? `, and so is ${aliases.map(name => `'${name}'`).join(', ')}` : '');
         const step = {
             id: this.executionSteps.length + 1,
             line: data.line,
             type: 'trace_var',
             variable: {
                 name: data.name,
-                value: data.value
+                value: data.value,
+                key,
+                path: data.path || '',
+                scope: data.scope,
+                frame: data.frame
             },
-            description: `Variable '${data.name}' is now ${data.value}`,
+            description,
             timestamp: Date.now()
         };
-        this.executionSteps.push(step);
-        this.variables.set(data.name, {
+        this.addStep(step);
+        const existing = this.variables.get(key);
+        this.variables.set(key, {
+            name: data.name,
+            frame: data.frame,
+            scope: data.scope,
             value: data.value,
+            address: data.address,
+            size: data.size,
             line: data.line,
+            declaredAt: existing ? existing.declaredAt : step.id,
             lastModifiedAt: step.id
         });
-        // Add variable snapshot to step
+        step.variables = this.snapshotVariables();
+    }
+
+    // A write through a pointer: p->x = 1 or *p = 1. It changes the variable that
+    // lives where p points, if that's one we know; a heap object isn't one.
+    handleTracePointee(data) {
+        const [alias, ...others] = this.updateAliases(null, data);
+        const written = data.path ? `${data.pointer}${data.path}` : `*${data.pointer}`;
+        const step = {
+            id: this.executionSteps.length + 1,
+            line: data.line,
+            type: 'pointer_write',
+            pointer: {
+                name: data.pointer,
+                value: data.value,
+                path: data.path || '',
+                scope: data.scope,
+                frame: data.frame
+            },
+            description: alias
+                ? `'${written}' changed ${[alias, ...others].map(name => `'${name}'`).join(' and ')}, now ${JSON.stringify(data.value)}`
+                : `'${written}' changed what '${data.pointer}' points to, now ${JSON.stringify(data.value)}`,
+            timestamp: Date.now()
+        };
+        this.addStep(step);
+        step.variables = this.snapshotVariables();
+    }
+
+    // Give every other live variable at data's address and of its size data's value.
+    // Returns their names.
+    updateAliases(key, data) {
+        if (!data.address) return [];
+        const names = [];
+        for (const [otherKey, info] of this.variables.entries()) {
+            if (otherKey === key || info.address !== data.address || info.size !== data.size) continue;
+            info.value = data.value;
+            info.lastModifiedAt = this.executionSteps.length + 1;
+            names.push(info.name);
+        }
+        return names;
+    }
+
+    // Same-named variables in different frames or blocks are different variables
+    variableKey(frame, scope, name) {
+        return `${frame || 0}:${scope || 0}:${name}`;
+    }
+
+    dropScope(frame, scope) {
+        for (const [key, info] of this.variables.entries()) {
+            if ((info.frame || 0) === (frame || 0) && info.scope === scope) {
+                this.variables.delete(key);
+            }
+        }
+    }
+
+    dropFrame(frame) {
+        for (const [key, info] of this.variables.entries()) {
+            if (info.frame === frame) {
+                this.variables.delete(key);
+            }
+        }
+    }
+
+    // Record a step along with the call stack at that point, innermost frame first
+    addStep(step) {
+        if (this.callStack.length > 0) {
+            this.callStack[this.callStack.length - 1].line = step.line;
+        }
+        step.callStack = this.snapshotCallStack();
+        this.executionSteps.push(step);
+    }
+
+    snapshotCallStack() {
+        return this.callStack.map(frame => ({ ...frame })).reverse();
+    }
+
+    // Only include primitive values for each variable visible from the current frame:
+    // globals, then that frame's variables, so an inner declaration shadows an outer one
+    snapshotVariables() {
+        const currentFrame = this.callStack.length > 0 ? this.callStack[this.callStack.length - 1].frameId : 0;
         const simpleVariables = {};
-        for (const [name, info] of this.variables.entries()) {
-            simpleVariables[name] = info.value;
+        for (const [key, info] of this.variables.entries()) {
+            if (!info.frame) {
+                simpleVariables[info.name || key] = info.value;
+            }
         }
-        step.variables = simpleVariables;
+        for (const info of this.variables.values()) {
+            if (info.frame && info.frame === currentFrame) {
+                simpleVariables[info.name] = info.value;
+            }
+        }
+        return simpleVariables;
     }
 
     calculateMetrics() {
@@ -345,6 +690,8 @@ class LogParser {
                 case 'for_loop':
                 case 'while_loop':
                 case 'do_while_loop':
+                case 'loop_enter':
+                case 'loop_exit':
                     this.executionMetrics.controlFlowOperations++;
                     break;
                 case 'input_operation':
@@ -375,7 +722,7 @@ class LogParser {
         const history = [];
         this.variables.forEach((varInfo, varName) => {
             history.push({
-                name: varName,
+                name: varInfo.name || varName,
                 type: varInfo.type,
                 initialValue: varInfo.value,
                 declaredAt: varInfo.declaredAt,
@@ -391,7 +738,8 @@ class LogParser {
         this.executionSteps.forEach(step => {
             if (step.type === 'if_condition' || step.type === 'else_branch' || 
                 step.type === 'for_loop' || step.type === 'while_loop' || 
-                step.type === 'do_while_loop') {
+                step.type === 'do_while_loop' || step.type === 'loop_enter' ||
+                step.type === 'loop_exit') {
                 path.push({
                     stepId: step.id,
                     type: step.type,
@@ -415,7 +763,7 @@ class LogParser {
     getCurrentState() {
         return {
             variables: Object.fromEntries(this.variables),
-            callStack: [...this.callStack],
+            callStack: this.snapshotCallStack(),
             currentStep: this.currentStep,
             metrics: this.executionMetrics
         };
@@ -427,7 +775,7 @@ class LogParser {
             totalSteps: this.executionSteps.length,
             steps: this.executionSteps,
             finalVariables: Object.fromEntries(this.variables),
-            finalCallStack: [...this.callStack],
+            finalCallStack: this.snapshotCallStack(),
             output: this.output,
             metrics: this.executionMetrics
         };
@@ -0,0 +1,161 @@
+// Parses one line of GDB/MI output (GDB manual, "GDB/MI Output Syntax"):
+//   result record   [token]^class[,results]
+//   async record    [token](*|+|=)class[,results]   exec, status and notify
+//   stream record   (~|@|&)c-string                 console, target and log
+// plus the `(gdb)` prompt. Results become plain values: tuples are objects,
+// lists are arrays (the names in a list of results are dropped, so
+// `stack=[frame={...},frame={...}]` is an array of frames) and c-strings are
+// unescaped. Lines that aren't MI, like the program writing to the terminal it
+// shares with GDB, come back as { type: 'output', text }.
+class MiParser {
+    constructor(text, index = 0) {
+        this.text = text;
+        this.index = index;
+    }
+
+    static parse(line) {
+        if (line.trim() === '(gdb)') return { type: 'prompt' };
+
+        const record = /^(\d*)([\^*+=])([\w-]+)/.exec(line);
+        if (record) {
+            try {
+                return {
+                    type: MiParser.RECORD_TYPES[record[2]],
+                    token: record[1] ? parseInt(record[1], 10) : null,
+                    class: record[3],
+                    results: new MiParser(line, record[0].length).parseResults()
+                };
+            } catch (error) {
+                return { type: 'output', text: line };
+            }
+        }
+
+        const stream = /^[~@&]"/.exec(line);
+        if (stream) {
+            try {
+                const parser = new MiParser(line, 1);
+                const text = parser.parseCString();
+                if (parser.index === line.length) return { type: MiParser.STREAM_TYPES[line[0]], text };
+            } catch (error) {
+                // Not MI after all
+            }
+        }
+        return { type: 'output', text: line };
+    }
+
+    // `,name=value` pairs up to the end of the line
+    parseResults() {
+        const results = {};
+        while (this.index < this.text.length) {
+            this.expect(',');
+            if ('"{['.includes(this.peek())) {
+                // GDB before 13 lists a breakpoint's locations as bare tuples after
+                // the bkpt tuple, which isn't valid MI; skip them
+                this.parseValue();
+                continue;
+            }
+            const [name, value] = this.parseResult();
+            results[name] = value;
+        }
+        return results;
+    }
+
+    parseResult() {
+        const name = /^[\w-]+/.exec(this.text.slice(this.index));
+        if (!name) this.fail('a result name');
+        this.index += name[0].length;
+        this.expect('=');
+        return [name[0], this.parseValue()];
+    }
+
+    parseValue() {
+        switch (this.peek()) {
+            case '"': return this.parseCString();
+            case '{': return this.parseTuple();
+            case '[': return this.parseList();
+            default: return this.fail('a value');
+        }
+    }
+
+    parseTuple() {
+        this.expect('{');
+        const tuple = {};
+        if (this.peek() === '}') {
+            this.index++;
+            return tuple;
+        }
+        for (;;) {
+            const [name, value] = this.parseResult();
+            tuple[name] = value;
+            if (this.peek() !== ',') break;
+            this.index++;
+        }
+        this.expect('}');
+        return tuple;
+    }
+
+    parseList() {
+        this.expect('[');
+        const list = [];
+        if (this.peek() === ']') {
+            this.index++;
+            return list;
+        }
+        for (;;) {
+            list.push('"{['.includes(this.peek()) ? this.parseValue() : this.parseResult()[1]);
+            if (this.peek() !== ',') break;
+            this.index++;
+        }
+        this.expect(']');
+        return list;
+    }
+
+    // A C string. GDB escapes bytes outside printable ASCII as octal, so the
+    // bytes are collected and decoded as UTF-8 at the end.
+    parseCString() {
+        this.expect('"');
+        const bytes = [];
+        for (;;) {
+            if (this.index >= this.text.length) this.fail('a closing quote');
+            const char = this.text[this.index++];
+            if (char === '"') break;
+            if (char !== '\\') {
+                bytes.push(...Buffer.from(char, 'utf8'));
+                continue;
+            }
+            const escaped = this.text[this.index++];
+            const octal = /^[0-7]{1,3}/.exec(this.text.slice(this.index - 1));
+            if (octal) {
+                bytes.push(parseInt(octal[0], 8) & 0xff);
+                this.index += octal[0].length - 1;
+            } else if (escaped in MiParser.ESCAPES) {
+                bytes.push(MiParser.ESCAPES[escaped]);
+            } else if (escaped !== undefined) {
+                bytes.push(...Buffer.from(escaped, 'utf8'));
+            }
+        }
+        return Buffer.from(bytes).toString('utf8');
+    }
+
+    peek() {
+        return this.text[this.index];
+    }
+
+    expect(char) {
+        if (this.text[this.index] !== char) this.fail(`'${char}'`);
+        this.index++;
+    }
+
+    fail(expected) {
+        throw new Error(`Malformed MI record: expected ${expected} at column ${this.index + 1}`);
+    }
+}
+
+MiParser.RECORD_TYPES = { '^': 'result', '*': 'exec', '+': 'status', '=': 'notify' };
+MiParser.STREAM_TYPES = { '~': 'console', '@': 'target', '&': 'log' };
+MiParser.ESCAPES = {
+    n: 0x0a, t: 0x09, r: 0x0d, a: 0x07, b: 0x08, f: 0x0c, v: 0x0b, e: 0x1b,
+    '\\': 0x5c, '"': 0x22, '\'': 0x27
+};
+
+module.exports = MiParser;
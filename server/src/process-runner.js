@@ -0,0 +1,131 @@
+const { spawn } = require('child_process');
+
+// Runs a compiled program under the limits getCompilationInfo advertises:
+// wall-clock time (kill timer, with a CPU-time rlimit as a backstop),
+// address space (rlimit) and combined stdout/stderr size.
+class ProcessRunner {
+    constructor(limits = {}) {
+        this.limits = { ...ProcessRunner.DEFAULT_LIMITS, ...limits };
+    }
+
+    // Resolves to { status, stdout, stderr, exitCode, signal, executionTime }, where
+    // status is one of ProcessRunner.STATUS. Never rejects. `launcher` is an argv
+    // prefix the executable is run through, like ResourceMeter's; `args` follow it.
+    run(executable, { input = '', env = process.env, limits = {}, cwd, launcher = [], args: programArgs = [] } = {}) {
+        const { timeLimitMs, outputLimitBytes } = { ...this.limits, ...limits };
+        const [command, ...args] = this.command(executable, limits, launcher, programArgs);
+
+        return new Promise((resolve) => {
+            const startTime = Date.now();
+            let stdout = '';
+            let stderr = '';
+            let outputBytes = 0;
+            let limitStatus = null;
+            let settled = false;
+
+            // In a process group of its own, so a launcher and the program
+            // under it are killed together
+            const child = spawn(command, args, {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                env,
+                cwd,
+                detached: true
+            });
+            const stop = (status) => {
+                if (limitStatus) return;
+                limitStatus = status;
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch (error) {
+                    child.kill('SIGKILL');
+                }
+            };
+            const timer = setTimeout(() => stop(ProcessRunner.STATUS.TIME_LIMIT), timeLimitMs);
+            const collect = (data, append) => {
+                if (limitStatus === ProcessRunner.STATUS.OUTPUT_LIMIT) return;
+                const room = outputLimitBytes - outputBytes;
+                outputBytes += data.length;
+                append(data.slice(0, Math.max(room, 0)).toString());
+                if (outputBytes > outputLimitBytes) stop(ProcessRunner.STATUS.OUTPUT_LIMIT);
+            };
+            child.stdout.on('data', (data) => collect(data, (text) => { stdout += text; }));
+            child.stderr.on('data', (data) => collect(data, (text) => { stderr += text; }));
+
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                resolve({ stdout, stderr, executionTime: Date.now() - startTime, ...result });
+            };
+            child.on('close', (exitCode, signal) => {
+                finish({ status: this.classify(limitStatus, exitCode, signal, stderr), exitCode, signal });
+            });
+            child.on('error', (error) => {
+                finish({ status: ProcessRunner.STATUS.RUNTIME_ERROR, exitCode: null, signal: null, error: error.message });
+            });
+
+            // A program that exits without reading its input closes the pipe early
+            child.stdin.on('error', () => {});
+            if (input) {
+                child.stdin.write(input);
+            }
+            child.stdin.end();
+        });
+    }
+
+    // Command line that runs the executable under the CPU-time and address-space
+    // rlimits: the shell sets them, then exec hands its pid over to the program.
+    // A memory limit of null skips the address-space cap (sanitizers reserve
+    // terabytes of shadow memory and enforce their own RSS limit instead).
+    command(executable, limits = {}, launcher = [], args = []) {
+        return [...this.wrapper(limits), ...launcher, executable, ...args];
+    }
+
+    // The shell part of command(), for whatever starts the program itself (GDB's
+    // exec-wrapper). An optional fileSizeLimitBytes caps each file it writes.
+    wrapper(limits = {}) {
+        const { timeLimitMs, memoryLimitBytes, fileSizeLimitBytes } = { ...this.limits, ...limits };
+        const cpuSeconds = Math.ceil(timeLimitMs / 1000) + 1;
+        const memoryLimit = Number.isFinite(memoryLimitBytes) ? `ulimit -v ${Math.ceil(memoryLimitBytes / 1024)}; ` : '';
+        // In 512-byte blocks, as sh counts them
+        const fileSizeLimit = Number.isFinite(fileSizeLimitBytes) ? `ulimit -f ${Math.ceil(fileSizeLimitBytes / 512)}; ` : '';
+        return ['/bin/sh', '-c', `ulimit -t ${cpuSeconds}; ${memoryLimit}${fileSizeLimit}exec "$0" "$@"`];
+    }
+
+    // One argument, quoted for sh
+    static shellQuote(arg) {
+        return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+    }
+
+    classify(limitStatus, exitCode, signal, stderr) {
+        if (limitStatus) return limitStatus;
+        // RLIMIT_CPU delivers SIGXCPU, then SIGKILL if the program ignores it
+        if (signal === 'SIGXCPU') return ProcessRunner.STATUS.TIME_LIMIT;
+        // Hitting RLIMIT_AS shows up as a failed allocation, not a signal of its own;
+        // under AddressSanitizer the limit is its hard_rss_limit_mb
+        if (/std::bad_alloc|Cannot allocate memory|out of memory|hard rss limit exhausted/i.test(stderr)) {
+            return ProcessRunner.STATUS.MEMORY_LIMIT;
+        }
+        if (signal) return ProcessRunner.STATUS.SIGNALED;
+        return exitCode === 0 ? ProcessRunner.STATUS.OK : ProcessRunner.STATUS.RUNTIME_ERROR;
+    }
+}
+
+ProcessRunner.STATUS = {
+    OK: 'ok',
+    RUNTIME_ERROR: 'runtime_error',
+    TIME_LIMIT: 'time_limit_exceeded',
+    MEMORY_LIMIT: 'memory_limit_exceeded',
+    OUTPUT_LIMIT: 'output_limit_exceeded',
+    SIGNALED: 'killed_by_signal',
+    // Set by the pipelines when a sanitizer build reports an error
+    SANITIZER: 'sanitizer_error'
+};
+
+ProcessRunner.DEFAULT_LIMITS = {
+    timeLimitMs: 2000,
+    memoryLimitBytes: 50 * 1024 * 1024,
+    outputLimitBytes: 1024 * 1024
+};
+
+module.exports = ProcessRunner;
@@ -0,0 +1,91 @@
+// Measures a command's wall-clock time, user and system CPU time and peak
+// resident memory. The backends build a small launcher from SOURCE with the
+// sandbox's compiler; it runs the command as its child, collects the child's
+// rusage with wait4() and writes it to a file, then exits the way the child
+// did, so exit codes and signals look the same as without it.
+class ResourceMeter {
+    // Launcher argv prefix: `launcher usage-file command args...`
+    static command(launcher, usageFile) {
+        return launcher ? [launcher, usageFile] : [];
+    }
+
+    // The launcher's "wall_us user_us sys_us maxrss_kb" line, or null when it
+    // didn't get to write one (it isn't built, or was killed with the program)
+    static parse(text) {
+        const match = /^(\d+) (\d+) (\d+) (\d+)\s*$/.exec(text || '');
+        if (!match) return null;
+        const [wall, user, system, maxRssKb] = match.slice(1).map(value => parseInt(value, 10));
+        return {
+            wallTimeMs: ResourceMeter.milliseconds(wall),
+            cpuTimeMs: ResourceMeter.milliseconds(user + system),
+            userTimeMs: ResourceMeter.milliseconds(user),
+            systemTimeMs: ResourceMeter.milliseconds(system),
+            peakMemoryBytes: maxRssKb * 1024
+        };
+    }
+
+    // Only the wall time the server saw, for runs the launcher couldn't report on
+    static unmeasured(wallTimeMs) {
+        return {
+            wallTimeMs,
+            cpuTimeMs: null,
+            userTimeMs: null,
+            systemTimeMs: null,
+            peakMemoryBytes: null
+        };
+    }
+
+    static milliseconds(microseconds) {
+        return Math.round(microseconds / 10) / 100;
+    }
+}
+
+ResourceMeter.SOURCE = `#include <errno.h>
+#include <signal.h>
+#include <stdio.h>
+#include <time.h>
+#include <unistd.h>
+#include <sys/resource.h>
+#include <sys/time.h>
+#include <sys/wait.h>
+
+static long long microseconds(struct timeval value) {
+    return value.tv_sec * 1000000LL + value.tv_usec;
+}
+
+int main(int argc, char** argv) {
+    if (argc < 3) return 127;
+    struct timespec start, end;
+    clock_gettime(CLOCK_MONOTONIC, &start);
+    pid_t pid = fork();
+    if (pid < 0) return 127;
+    if (pid == 0) {
+        execvp(argv[2], argv + 2);
+        _exit(127);
+    }
+
+    int status = 0;
+    struct rusage usage;
+    while (wait4(pid, &status, 0, &usage) < 0) {
+        if (errno != EINTR) return 127;
+    }
+    clock_gettime(CLOCK_MONOTONIC, &end);
+    long long wall = (end.tv_sec - start.tv_sec) * 1000000LL + (end.tv_nsec - start.tv_nsec) / 1000;
+
+    FILE* out = fopen(argv[1], "w");
+    if (out) {
+        fprintf(out, "%lld %lld %lld %ld\\n", wall, microseconds(usage.ru_utime), microseconds(usage.ru_stime), usage.ru_maxrss);
+        fclose(out);
+    }
+    if (WIFSIGNALED(status)) {
+        // Die of the same signal, without a core file of our own
+        struct rlimit no_core = { 0, 0 };
+        setrlimit(RLIMIT_CORE, &no_core);
+        signal(WTERMSIG(status), SIG_DFL);
+        raise(WTERMSIG(status));
+    }
+    return WIFEXITED(status) ? WEXITSTATUS(status) : 1;
+}
+`;
+
+module.exports = ResourceMeter;
@@ -0,0 +1,280 @@
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+const CodeInstrumenter = require('./code-instrumenter');
+const ProcessRunner = require('./process-runner');
+const CompileCache = require('./compile-cache');
+const CompilerProfile = require('./compiler-profile');
+const ResourceMeter = require('./resource-meter');
+
+// Where user code is compiled and run. Every REST route and WebSocket command
+// goes through one backend, so flags, limits and isolation don't depend on the
+// entry point. Backends implement compilerVersion, compileSource, runProgram, debug and meter,
+// working on a workspace directory that holds the source, the program and its trace.
+// Compiles and runs go through the ResourceMeter launcher when the backend has one.
+class Sandbox {
+    constructor(limits = {}) {
+        this.name = 'base';
+        this.limits = { ...ProcessRunner.DEFAULT_LIMITS, ...limits };
+        this.compilerFlags = [...Sandbox.COMPILER_FLAGS];
+        this.processRunner = new ProcessRunner(this.limits);
+        this.compileCache = new CompileCache();
+        // Compiler executable -> version line, or null when it isn't installed
+        this.compilers = {};
+        this.isInitialized = false;
+    }
+
+    // Backend named by SANDBOX_BACKEND: 'local' (default) or 'docker'
+    static create(backend = process.env.SANDBOX_BACKEND || 'local', limits = {}) {
+        switch (backend) {
+            case 'local': {
+                const LocalSandbox = require('./local-sandbox');
+                return new LocalSandbox(limits);
+            }
+            case 'docker': {
+                const DockerSandbox = require('./docker-sandbox');
+                return new DockerSandbox(limits);
+            }
+            default:
+                throw new Error(`Unknown sandbox backend: ${backend}`);
+        }
+    }
+
+    async initialize() {
+        this.isInitialized = true;
+    }
+
+    // Path of the ResourceMeter launcher as the sandbox sees it, or null to
+    // measure wall time only
+    async meter(workspace) {
+        return null;
+    }
+
+    async createWorkspace() {
+        return new Promise((resolve, reject) => {
+            tmp.dir({
+                prefix: 'cpp-sandbox-',
+                unsafeCleanup: true
+            }, (err, path, cleanupCallback) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({
+                        path,
+                        cleanup: cleanupCallback
+                    });
+                }
+            });
+        });
+    }
+
+    async releaseWorkspace(workspace) {
+        try {
+            if (workspace && workspace.cleanup) {
+                workspace.cleanup();
+            }
+        } catch (error) {
+            console.error('Error cleaning up workspace:', error);
+        }
+    }
+
+    // Write the code into the workspace and compile it with the profile's
+    // compiler and flags, or reuse the binary of an identical earlier build.
+    // `variant` tells apart builds of the same code that must not share a
+    // binary. Diagnostics name the source as `sourceFile`, the same on every backend.
+    // `usage` is what the compile took (see ResourceMeter), null for a cached build.
+    async compile(workspace, code, { profile = CompilerProfile.DEFAULT, flags = [], variant = '', sanitize = false } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        fs.writeFileSync(path.join(workspace.path, Sandbox.SOURCE_FILE), code);
+        const compiler = profile.executable;
+        const described = { sourceFile: Sandbox.SOURCE_FILE, profile: profile.toJSON() };
+        if (!(await this.hasCompiler(workspace, compiler))) {
+            return { success: false, stdout: '', stderr: `${compiler} is not available on this server`, ...described, cached: false, usage: null };
+        }
+
+        const allFlags = [...profile.flags(), ...this.compilerFlags, ...(sanitize ? Sandbox.SANITIZER_FLAGS : []), ...flags];
+        const key = this.compileCache.key({
+            source: code,
+            compiler: `${this.name}:${this.compilers[compiler]}`,
+            flags: allFlags,
+            variant
+        });
+        const program = path.join(workspace.path, Sandbox.PROGRAM_FILE);
+
+        const cached = this.compileCache.restore(key, program);
+        if (cached) {
+            return { success: true, ...cached, ...described, cached: true, usage: null };
+        }
+        const launcher = await this.launcher(workspace);
+        const startTime = Date.now();
+        const result = await this.compileSource(workspace, compiler, allFlags, launcher);
+        const usage = this.readUsage(workspace) || ResourceMeter.unmeasured(Date.now() - startTime);
+        if (result.success) {
+            this.compileCache.store(key, program, result);
+        }
+        return { ...result, ...described, cached: false, usage };
+    }
+
+    // Check the code without building it: parse and type-check only, so it's
+    // quick enough to run as the user types. Resolves like compile(), plus
+    // `available: false` when the profile's compiler isn't installed.
+    async checkSyntax(workspace, code, { profile = CompilerProfile.DEFAULT, flags = [] } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        fs.writeFileSync(path.join(workspace.path, Sandbox.SOURCE_FILE), code);
+        const compiler = profile.executable;
+        const described = { sourceFile: Sandbox.SOURCE_FILE, profile: profile.toJSON() };
+        if (!(await this.hasCompiler(workspace, compiler))) {
+            return { success: false, stdout: '', stderr: `${compiler} is not available on this server`, ...described, available: false };
+        }
+        const result = await this.compileSource(workspace, compiler, [...profile.flags(), '-fsyntax-only', ...flags]);
+        return { ...result, ...described, available: true };
+    }
+
+    // Whether the compiler is installed, looking up its version the first time
+    async hasCompiler(workspace, compiler) {
+        if (!(compiler in this.compilers)) {
+            this.compilers[compiler] = await this.compilerVersion(workspace, compiler);
+        }
+        return Boolean(this.compilers[compiler]);
+    }
+
+    // Run the compiled program under the limits; resolves like ProcessRunner.run,
+    // plus the trace an instrumented program wrote (empty otherwise) and its
+    // `usage`. `sanitize` must match the build: sanitizers get their options
+    // and memory cap via env.
+    async run(workspace, { input = '', env = {}, limits = {}, sanitize = false } = {}) {
+        const traceFile = path.join(workspace.path, Sandbox.TRACE_FILE);
+        fs.rmSync(traceFile, { force: true });
+        const launcher = await this.launcher(workspace);
+        const result = await this.runProgram(workspace, {
+            launcher,
+            input,
+            env: {
+                ...(sanitize ? this.sanitizerEnv(limits) : {}),
+                ...env,
+                [CodeInstrumenter.TRACE_FILE_ENV]: this.sandboxPath(workspace, Sandbox.TRACE_FILE)
+            },
+            limits: sanitize ? { ...limits, memoryLimitBytes: null } : limits
+        });
+        // A program killed for a limit takes the launcher with it: wall time only
+        const usage = this.readUsage(workspace) || ResourceMeter.unmeasured(result.executionTime);
+        return {
+            ...result,
+            executionTime: usage.wallTimeMs,
+            usage,
+            trace: fs.existsSync(traceFile) ? fs.readFileSync(traceFile) : Buffer.alloc(0)
+        };
+    }
+
+    // What compileSource resolves to once the compiler is done; `limitStatus`
+    // is set when COMPILE_LIMITS stopped it
+    compileOutcome({ exitCode, limitStatus, stdout, stderr }) {
+        let reason = '';
+        if (limitStatus === ProcessRunner.STATUS.TIME_LIMIT) {
+            reason = `Compilation timed out after ${Sandbox.COMPILE_LIMITS.timeLimitMs / 1000}s\n`;
+        } else if (limitStatus === ProcessRunner.STATUS.OUTPUT_LIMIT) {
+            reason = 'Compilation stopped: the compiler output is too long\n';
+        }
+        return {
+            success: exitCode === 0 && !limitStatus,
+            stdout,
+            stderr: stderr + reason
+        };
+    }
+
+    // GDB's command line for the compiled program. GDB starts the program, so
+    // the rlimits of run() come through an exec-wrapper. Its stdin is `input`,
+    // written to INPUT_FILE (never GDB's own, which carries the MI commands);
+    // its output goes to OUTPUT_FILE, capped at the output limit (see debugOutput).
+    debugArguments(workspace, { input = '', limits = {} } = {}) {
+        const { outputLimitBytes } = { ...this.limits, ...limits };
+        fs.writeFileSync(path.join(workspace.path, Sandbox.INPUT_FILE), input);
+        const wrapper = this.processRunner.wrapper({ ...limits, fileSizeLimitBytes: outputLimitBytes });
+        const inputFile = ProcessRunner.shellQuote(this.sandboxPath(workspace, Sandbox.INPUT_FILE));
+        const outputFile = ProcessRunner.shellQuote(this.sandboxPath(workspace, Sandbox.OUTPUT_FILE));
+        return [
+            '-q', '--interpreter=mi2',
+            '-ex', `set exec-wrapper ${wrapper.map(ProcessRunner.shellQuote).join(' ')}`,
+            '-ex', `set args < ${inputFile} > ${outputFile} 2>&1`,
+            Sandbox.PROGRAM_FILE
+        ];
+    }
+
+    // What the debugged program has written so far
+    debugOutput(workspace) {
+        const outputFile = path.join(workspace.path, Sandbox.OUTPUT_FILE);
+        return fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf8') : '';
+    }
+
+    // Argv prefix that runs a command under the ResourceMeter launcher, or
+    // nothing when the backend couldn't build one
+    async launcher(workspace) {
+        fs.rmSync(path.join(workspace.path, Sandbox.USAGE_FILE), { force: true });
+        const meter = await this.meter(workspace).catch((error) => {
+            console.error('[DEBUG] Resource meter unavailable:', error.message);
+            return null;
+        });
+        return ResourceMeter.command(meter, this.sandboxPath(workspace, Sandbox.USAGE_FILE));
+    }
+
+    readUsage(workspace) {
+        const usageFile = path.join(workspace.path, Sandbox.USAGE_FILE);
+        if (!fs.existsSync(usageFile)) return null;
+        const usage = ResourceMeter.parse(fs.readFileSync(usageFile, 'utf8'));
+        fs.rmSync(usageFile, { force: true });
+        return usage;
+    }
+
+    // AddressSanitizer can't run under an address-space rlimit, so it enforces
+    // the memory limit itself; its shadow memory and redzones get the same again
+    sanitizerEnv(limits = {}) {
+        const { memoryLimitBytes } = { ...this.limits, ...limits };
+        const rssLimitMb = Math.ceil((2 * memoryLimitBytes) / (1024 * 1024));
+        return {
+            ASAN_OPTIONS: `detect_leaks=0:hard_rss_limit_mb=${rssLimitMb}`,
+            UBSAN_OPTIONS: 'print_stacktrace=1'
+        };
+    }
+
+    // Path of a workspace file as the compiled program sees it
+    sandboxPath(workspace, file) {
+        return path.join(workspace.path, file);
+    }
+
+    // What getCompilationInfo reports
+    describe() {
+        return {
+            backend: this.name,
+            compiler: CompilerProfile.DEFAULT.executable,
+            flags: [...CompilerProfile.DEFAULT.flags(), ...this.compilerFlags],
+            limits: this.limits,
+            cache: this.compileCache.stats()
+        };
+    }
+
+    async cleanup() {}
+}
+
+// Added to every profile's flags: GDB needs the debug symbols
+Sandbox.COMPILER_FLAGS = ['-g'];
+// Sanitizer builds stop at the first error, so a report ends the trace
+Sandbox.SANITIZER_FLAGS = ['-fsanitize=address,undefined', '-fno-sanitize-recover=all', '-fno-omit-frame-pointer'];
+// A compile is killed after this long; its memory is left to the host or container
+Sandbox.COMPILE_LIMITS = {
+    timeLimitMs: 20000,
+    memoryLimitBytes: null,
+    outputLimitBytes: 4 * 1024 * 1024
+};
+Sandbox.SOURCE_FILE = 'main.cpp';
+Sandbox.PROGRAM_FILE = 'program';
+Sandbox.TRACE_FILE = 'trace.log';
+Sandbox.USAGE_FILE = 'usage.txt';
+Sandbox.INPUT_FILE = 'input.txt';
+Sandbox.OUTPUT_FILE = 'output.txt';
+Sandbox.METER_FILE = 'cdebug-meter';
+
+module.exports = Sandbox;
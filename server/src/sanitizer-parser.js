@@ -0,0 +1,110 @@
+const path = require('path');
+
+// Turns AddressSanitizer and UndefinedBehaviorSanitizer reports in a program's
+// stderr into structured diagnostics:
+// { tool, kind, message, line, column, stack: [{ function, line, column }] },
+// where kind is a short category like heap-buffer-overflow or signed-integer-overflow.
+// Only frames in the user's source file are kept; with a source map, lines are
+// translated back from instrumented code and frames in the trace helpers dropped.
+class SanitizerParser {
+    constructor(sourceFile) {
+        this.sourceFile = sourceFile;
+    }
+
+    parse(stderr, sourceMap = null) {
+        const lines = stderr.split('\n');
+        const reports = [];
+        for (let i = 0; i < lines.length; i++) {
+            const asan = lines[i].match(/==\d+==ERROR: AddressSanitizer: (\S+)(.*)$/);
+            if (asan) {
+                // The access line, e.g. "WRITE of size 4 at ...", says what went wrong
+                const access = lines.slice(i + 1, i + 4).find(line => /^(READ|WRITE) of size/.test(line)
+                    || /The signal is caused by/.test(line));
+                const message = access ? access.replace(/^==\d+==/, '').replace(/ at 0x[0-9a-f]+.*$/, '').trim() : asan[1];
+                const stack = this.parseStack(lines, i + 1, sourceMap);
+                reports.push(this.report('address', asan[1], message, stack));
+                continue;
+            }
+            const ubsan = lines[i].match(/^(\S+):(\d+):(\d+): runtime error: (.*)$/);
+            if (ubsan && path.basename(ubsan[1]) === this.sourceFile) {
+                const stack = this.parseStack(lines, i + 1, sourceMap);
+                const position = this.position(sourceMap, parseInt(ubsan[2], 10), parseInt(ubsan[3], 10));
+                const report = this.report('undefined', SanitizerParser.ubsanCheck(ubsan[4]), ubsan[4], stack);
+                if (position) Object.assign(report, position);
+                reports.push(report);
+            }
+        }
+        return reports;
+    }
+
+    // GCC's UBSan doesn't name the check that failed; tell it from the message
+    static ubsanCheck(message) {
+        const check = SanitizerParser.UBSAN_CHECKS.find(([pattern]) => pattern.test(message));
+        return check ? check[1] : 'undefined-behavior';
+    }
+
+    report(tool, kind, message, stack) {
+        return {
+            tool,
+            kind,
+            message,
+            line: stack.length > 0 ? stack[0].line : null,
+            column: stack.length > 0 ? stack[0].column : null,
+            stack
+        };
+    }
+
+    // Frames ("#0 0x... in func /path/main.cpp:5:3") up to the first blank line
+    parseStack(lines, start, sourceMap) {
+        const stack = [];
+        let seenFrame = false;
+        for (let i = start; i < lines.length; i++) {
+            const frame = lines[i].match(/^\s*#\d+ 0x[0-9a-f]+ in (.+) (\S+):(\d+)(?::(\d+))?$/);
+            if (!frame) {
+                if (seenFrame && !/^\s*#\d+/.test(lines[i])) break;
+                continue;
+            }
+            seenFrame = true;
+            if (path.basename(frame[2]) !== this.sourceFile) continue;
+            const position = this.position(sourceMap, parseInt(frame[3], 10), frame[4] ? parseInt(frame[4], 10) : null);
+            if (position) {
+                stack.push({ function: frame[1], ...position });
+            }
+        }
+        return stack;
+    }
+
+    // Position in the user's code, or null when it's in code the instrumenter
+    // added on lines of its own (the trace helpers)
+    position(sourceMap, line, column) {
+        if (!sourceMap) return { line, column };
+        if (column === null) {
+            const originalLine = sourceMap.originalLine(line);
+            return originalLine === null ? null : { line: originalLine, column: null };
+        }
+        const original = sourceMap.originalPosition(line, column);
+        if (!original || original.line === null) return null;
+        return { line: original.line, column: original.injected ? null : original.column };
+    }
+}
+
+// Message patterns of UBSan's runtime errors and the -fsanitize= check each comes from
+SanitizerParser.UBSAN_CHECKS = [
+    [/^(signed integer overflow|negation of .* cannot be represented)/, 'signed-integer-overflow'],
+    [/^index .* out of bounds/, 'bounds'],
+    [/null pointer of type|member (access|call) within null pointer|reference binding to null pointer/, 'null'],
+    [/^division by zero/, 'integer-divide-by-zero'],
+    [/^(shift exponent|left shift of)/, 'shift'],
+    [/misaligned address|which requires \d+ byte alignment/, 'alignment'],
+    [/is not a valid value for type 'bool'/, 'bool'],
+    [/is not a valid value for type/, 'enum'],
+    [/^execution reached the end of a value-returning function/, 'return'],
+    [/^execution reached an unreachable program point/, 'unreachable'],
+    [/^variable length array bound/, 'vla-bound'],
+    [/^(pointer index expression|applying (non-)?zero offset|addition of unsigned offset|subtraction of unsigned offset)/, 'pointer-overflow'],
+    [/is outside the range of representable values/, 'float-cast-overflow'],
+    [/which does not point to an object of type/, 'vptr'],
+    [/null pointer passed as argument/, 'nonnull-attribute']
+];
+
+module.exports = SanitizerParser;
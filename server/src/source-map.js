@@ -0,0 +1,104 @@
+// Maps positions in generated (instrumented) code back to the user's original code.
+// Segments record which stretches of the generated code were copied from the
+// original; everything between them was injected by the instrumenter.
+class SourceMap {
+    constructor(originalCode, generatedCode, segments) {
+        this.originalCode = originalCode;
+        this.generatedCode = generatedCode;
+        // { generatedStart, originalStart, length }, ordered by generatedStart
+        this.segments = segments;
+        this.originalLineStarts = this.lineStarts(originalCode);
+        this.generatedLineStarts = this.lineStarts(generatedCode);
+    }
+
+    lineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    // 1-based line/column in the generated code -> { line, column, injected }.
+    // Injected positions report the original line they sit on, or null when
+    // they are in code the instrumenter added on lines of its own.
+    originalPosition(line, column) {
+        const lineStart = this.generatedLineStarts[line - 1];
+        if (lineStart === undefined) return null;
+        const offset = lineStart + Math.max(column - 1, 0);
+
+        const segment = this.segments.find(candidate =>
+            offset >= candidate.generatedStart && offset < candidate.generatedStart + candidate.length);
+        if (segment) {
+            return { ...this.toLineColumn(segment.originalStart + offset - segment.generatedStart), injected: false };
+        }
+
+        // Injected text: it belongs to the original line of the last copied
+        // character before it, unless a line break separates them
+        const previous = this.segments.filter(candidate => candidate.generatedStart < offset).pop();
+        if (!previous) return { line: null, column: null, injected: true };
+        const copiedEnd = previous.generatedStart + previous.length;
+        if (this.generatedCode.slice(copiedEnd, offset).includes('\n')) {
+            return { line: null, column: null, injected: true };
+        }
+        return { ...this.toLineColumn(previous.originalStart + previous.length), injected: true };
+    }
+
+    // Original line of the first copied character on a generated line, or
+    // null when the whole line was injected
+    originalLine(line) {
+        const lineStart = this.generatedLineStarts[line - 1];
+        if (lineStart === undefined) return null;
+        const lineEnd = line < this.generatedLineStarts.length ? this.generatedLineStarts[line] : this.generatedCode.length;
+        const segment = this.segments.find(candidate =>
+            candidate.generatedStart < lineEnd && candidate.generatedStart + candidate.length > lineStart);
+        if (!segment) return null;
+        return this.toLineColumn(segment.originalStart + Math.max(lineStart - segment.generatedStart, 0)).line;
+    }
+
+    toLineColumn(originalOffset) {
+        let line = 0;
+        while (line + 1 < this.originalLineStarts.length && this.originalLineStarts[line + 1] <= originalOffset) {
+            line++;
+        }
+        return { line: line + 1, column: originalOffset - this.originalLineStarts[line] + 1 };
+    }
+
+    // Rewrite `file:line:column:` locations in compiler output to original
+    // positions. Returns the rewritten text and whether any error points into
+    // injected code.
+    translateDiagnostics(output, file) {
+        let injectedError = false;
+        const escapedFile = file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const location = new RegExp(`^${escapedFile}:(\\d+):(\\d+):(\\s*(\\w+)[^:]*:)?`);
+        const text = output.split('\n').map(outputLine => {
+            const match = outputLine.match(location);
+            if (!match) return outputLine;
+            const position = this.originalPosition(parseInt(match[1], 10), parseInt(match[2], 10));
+            if (!position) return outputLine;
+            if (position.injected && (match[4] === 'error' || match[4] === 'fatal')) injectedError = true;
+            if (position.line === null) return outputLine;
+            return `${file}:${position.line}:${position.column}:${match[3] || ''}${outputLine.slice(match[0].length)}`;
+        }).join('\n');
+        return { text, injectedError };
+    }
+
+    // Rewrite `file:line` and `file:line:column` references anywhere in a
+    // program's output (sanitizer reports, failed asserts) to original positions.
+    // References into the trace helpers are left as they are.
+    translateLocations(output, file) {
+        const escapedFile = file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const location = new RegExp(`(^|[\\s/(])${escapedFile}:(\\d+)(?::(\\d+))?`, 'gm');
+        return output.replace(location, (reference, before, line, column) => {
+            if (column === undefined) {
+                const originalLine = this.originalLine(parseInt(line, 10));
+                return originalLine === null ? reference : `${before}${file}:${originalLine}`;
+            }
+            const position = this.originalPosition(parseInt(line, 10), parseInt(column, 10));
+            if (!position || position.line === null) return reference;
+            return `${before}${file}:${position.line}${position.injected ? '' : `:${position.column}`}`;
+        });
+    }
+}
+
+module.exports = SourceMap;
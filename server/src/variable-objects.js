@@ -0,0 +1,121 @@
+const GdbConnection = require('./gdb-connection');
+
+// The locals of the current frame as GDB/MI variable objects, so structured
+// values (arrays, structs, pointers, and STL containers through libstdc++'s
+// pretty printers) can be expanded one level at a time and -var-update can
+// tell what changed since the last stop. GDB keeps a variable object as long
+// as its frame exists; ones that went out of scope are deleted here.
+class VariableObjects {
+    constructor() {
+        // `frame/name` -> { varobj, name, value, type, expandable }
+        this.roots = new Map();
+    }
+
+    // Variable objects die with the GDB process
+    reset() {
+        this.roots.clear();
+    }
+
+    // After a stop: updates every variable object and creates ones for the
+    // current frame's new locals. Returns { variables, changes }: the frame's
+    // roots, and what changed anywhere, children included, as
+    // { varobj, value, expandable, childrenChanged }.
+    async refresh(gdb, frame, locals) {
+        const update = await gdb.send('-var-update --all-values *').catch(() => ({ changelist: [] }));
+        const changes = [];
+        for (const change of update.changelist) {
+            if (change.in_scope !== 'true') {
+                await this.delete(gdb, change.name);
+                continue;
+            }
+            const described = {
+                varobj: change.name,
+                value: change.value !== undefined ? change.value : null,
+                // Only known when the child count changed, or for pretty-printed values
+                expandable: change.new_num_children !== undefined || change.dynamic === '1'
+                    ? VariableObjects.expandable({ numchild: change.new_num_children, has_more: change.has_more })
+                    : null,
+                // The children have to be listed again
+                childrenChanged: change.type_changed === 'true' || change.new_num_children !== undefined
+                    || change.new_children !== undefined
+            };
+            changes.push(described);
+            const root = this.root(change.name);
+            if (root) {
+                root.value = described.value;
+                if (described.expandable !== null) root.expandable = described.expandable;
+            }
+        }
+
+        const variables = [];
+        for (const local of locals) {
+            const key = `${frame}/${local.name}`;
+            if (!this.roots.has(key)) {
+                // e.g. a variable GDB can't make an object for; it's left out
+                const created = await gdb.send(`-var-create - * ${GdbConnection.quote(local.name)}`).catch(() => null);
+                if (!created) continue;
+                this.roots.set(key, VariableObjects.describe(created, local.name));
+            }
+            variables.push(this.roots.get(key));
+        }
+        return { variables, changes };
+    }
+
+    // One level of children: { children, hasMore }, at most CHILD_LIMIT of them
+    async children(gdb, varobj) {
+        const results = await gdb.send(`-var-list-children --all-values ${GdbConnection.quote(varobj)} 0 ${VariableObjects.CHILD_LIMIT}`);
+        const children = [];
+        for (const child of results.children || []) {
+            // C++ classes group their members under public/private/protected
+            // pseudo-children; show the members directly
+            if (!child.type && VariableObjects.ACCESS_SPECIFIERS.has(child.exp)) {
+                children.push(...(await this.children(gdb, child.name)).children);
+                continue;
+            }
+            children.push(VariableObjects.describe(child, child.exp));
+        }
+        return {
+            children,
+            hasMore: results.has_more === '1' || parseInt(results.numchild || '0', 10) > VariableObjects.CHILD_LIMIT
+        };
+    }
+
+    // Whether `varobj` is one of the roots or a descendant of one, i.e.
+    // something the client was told about
+    owns(varobj) {
+        return typeof varobj === 'string' && !/[\x00-\x1f\x7f]/.test(varobj)
+            && [...this.roots.values()].some(root => varobj === root.varobj || varobj.startsWith(`${root.varobj}.`));
+    }
+
+    root(varobj) {
+        return [...this.roots.values()].find(root => root.varobj === varobj) || null;
+    }
+
+    async delete(gdb, varobj) {
+        for (const [key, root] of this.roots) {
+            if (root.varobj !== varobj) continue;
+            this.roots.delete(key);
+            await gdb.send(`-var-delete ${GdbConnection.quote(varobj)}`).catch(() => {});
+        }
+    }
+
+    static describe(results, name) {
+        return {
+            varobj: results.name,
+            name,
+            value: results.value !== undefined ? results.value : null,
+            type: results.type || null,
+            expandable: VariableObjects.expandable(results)
+        };
+    }
+
+    // Pretty-printed containers report has_more instead of a child count
+    static expandable(results) {
+        return parseInt(results.numchild || '0', 10) > 0 || results.has_more === '1';
+    }
+}
+
+VariableObjects.ACCESS_SPECIFIERS = new Set(['public', 'private', 'protected']);
+VariableObjects.CHILD_LIMIT = 100;
+
+module.exports = VariableObjects;
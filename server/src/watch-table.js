@@ -0,0 +1,94 @@
+const GdbConnection = require('./gdb-connection');
+
+// Watch expressions and watchpoints of a GDB session. Watch expressions
+// belong to the WebSocket session and are evaluated in the current frame at
+// every stop; watchpoints stop the program when what they watch is written
+// (or read) and, since they usually watch locals, last for one GDB process.
+class WatchTable {
+    constructor() {
+        this.expressions = [];
+        this.watchpoints = new Map();
+    }
+
+    // Returns { isValid, errors, expression } like BreakpointTable.validate
+    static validateExpression(expression) {
+        const errors = [];
+        if (typeof expression !== 'string' || !expression.trim() || expression.length > WatchTable.MAX_EXPRESSION_LENGTH) {
+            errors.push(`expression must be a non-empty expression of at most ${WatchTable.MAX_EXPRESSION_LENGTH} characters`);
+        } else if (/[\x00-\x1f\x7f]/.test(expression)) {
+            // A newline would end the MI command and start another one
+            errors.push('expression must be a single line');
+        }
+        if (errors.length > 0) {
+            return { isValid: false, errors, expression: null };
+        }
+        return { isValid: true, errors, expression: expression.trim() };
+    }
+
+    // Validates and replaces the watch expressions
+    setExpressions(expressions) {
+        if (!Array.isArray(expressions) || expressions.length > WatchTable.MAX_EXPRESSIONS) {
+            return { isValid: false, errors: [`watches must be a list of at most ${WatchTable.MAX_EXPRESSIONS} expressions`] };
+        }
+        const validations = expressions.map(WatchTable.validateExpression);
+        const errors = validations.flatMap(validation => validation.errors);
+        if (errors.length > 0) return { isValid: false, errors };
+        this.expressions = validations.map(validation => validation.expression);
+        return { isValid: true, errors };
+    }
+
+    // Watchpoints die with the GDB process
+    reset() {
+        this.watchpoints.clear();
+    }
+
+    static evaluateCommand(expression) {
+        return `-data-evaluate-expression ${GdbConnection.quote(expression)}`;
+    }
+
+    // `access` is 'write' (stop on change), 'read' or 'access' (read or write)
+    static watchCommand(expression, access) {
+        return ['-break-watch', WatchTable.ACCESS_FLAGS[access], GdbConnection.quote(expression)].filter(Boolean).join(' ');
+    }
+
+    // Record GDB's reply to watchCommand: wpt, hw-rwpt or hw-awpt depending on access
+    add(access, results) {
+        const wpt = results.wpt || results['hw-rwpt'] || results['hw-awpt'];
+        const watchpoint = {
+            number: parseInt(wpt.number, 10),
+            expression: wpt.exp,
+            access,
+            // GDB uses hardware debug registers when it can and single-steps otherwise
+            hardware: null,
+            hitCount: 0
+        };
+        this.watchpoints.set(watchpoint.number, watchpoint);
+        return watchpoint;
+    }
+
+    remove(number) {
+        const watchpoint = this.watchpoints.get(number) || null;
+        this.watchpoints.delete(number);
+        return watchpoint;
+    }
+
+    // Hit counts and hardware/software from the body of a -break-list reply
+    update(body) {
+        for (const bkpt of body) {
+            const watchpoint = this.watchpoints.get(parseInt(bkpt.number, 10));
+            if (!watchpoint) continue;
+            watchpoint.hardware = bkpt.type.startsWith('hw ') || bkpt.type.startsWith('read ') || bkpt.type.startsWith('acc ');
+            watchpoint.hitCount = parseInt(bkpt.times || '0', 10);
+        }
+    }
+
+    table() {
+        return [...this.watchpoints.values()].sort((a, b) => a.number - b.number);
+    }
+}
+
+WatchTable.ACCESS_FLAGS = { write: null, read: '-r', access: '-a' };
+WatchTable.MAX_EXPRESSION_LENGTH = 200;
+WatchTable.MAX_EXPRESSIONS = 20;
+
+module.exports = WatchTable;
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExecutionPipeline = require('../src/execution-pipeline');
+
+// Runs code instrumented and returns its steps; needs g++ on the PATH
+async function traceSteps(code) {
+    const result = await new ExecutionPipeline().executeWithVisualization(code);
+    assert.strictEqual(result.status, 'ok', result.error || result.stderr);
+    return result.executionTrace.steps;
+}
+
+// The variable's value after the last step on the line
+const valueAfter = (steps, line, name) => steps.filter(step => step.line === line).pop().variables[name];
+
+test('a write through a pointer member updates the variable it points to', async () => {
+    const steps = await traceSteps(`#include <iostream>
+struct Node {
+    int val;
+};
+int main() {
+    Node n = {1};
+    Node* p = &n;
+    p->val = 7;
+    int* q = &n.val;
+    *q = 9;
+    std::cout << n.val << std::endl;
+    return 0;
+}
+`);
+    const write = steps.find(step => step.type === 'pointer_write' && step.line === 8);
+    assert.ok(write);
+    assert.deepStrictEqual(write.variables.n, { val: 7 });
+    // q points into n, not at it, so only the write itself is shown
+    assert.ok(steps.some(step => step.type === 'pointer_write' && step.line === 10));
+});
+
+test('a write through a reference updates the variable it is bound to', async () => {
+    const steps = await traceSteps(`#include <iostream>
+void bump(int& a) {
+    a += 10;
+}
+int main() {
+    int x = 1;
+    int& r = x;
+    r = 5;
+    bump(x);
+    std::cout << x << std::endl;
+    return 0;
+}
+`);
+    assert.strictEqual(valueAfter(steps, 8, 'x'), 5);
+    // A reference parameter is bound to a variable of the caller
+    const exit = steps.find(step => step.type === 'function_exit' && step.function.name === 'bump');
+    const returned = steps[steps.indexOf(exit) + 1];
+    assert.strictEqual(returned.variables.x, 15);
+    assert.strictEqual(returned.variables.r, 15);
+});
+
+test('objects and containers declared without an initializer are shown from their declaration', async () => {
+    const steps = await traceSteps(`#include <map>
+#include <queue>
+struct Box {
+    int w = 2;
+};
+int main() {
+    Box b;
+    std::map<int, int> m;
+    std::priority_queue<int> pq;
+    int unset;
+    unset = 0;
+    return unset;
+}
+`);
+    const declared = steps.filter(step => step.type === 'trace_var' && step.line <= 10).map(step => [step.line, step.variable.name]);
+    assert.deepStrictEqual(declared, [[7, 'b'], [8, 'm'], [9, 'pq']]);
+    assert.deepStrictEqual(valueAfter(steps, 9, 'b'), { w: 2 });
+    assert.deepStrictEqual(valueAfter(steps, 9, 'pq'), []);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+const CompileCache = require('../src/compile-cache');
+const CompilerProfile = require('../src/compiler-profile');
+const Sandbox = require('../src/sandbox');
+
+// A file of `size` bytes standing in for a compiled binary
+function binary(directory, name, size) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, Buffer.alloc(size, name));
+    return file;
+}
+
+test('the key changes with the source, compiler, flags and variant', () => {
+    const cache = new CompileCache();
+    const build = { source: 'int main() {}', compiler: 'local:g++ 13.2', flags: ['-std=c++20', '-O0'], variant: '' };
+    const key = cache.key(build);
+    assert.strictEqual(cache.key({ ...build }), key);
+    assert.notStrictEqual(cache.key({ ...build, source: 'int main() { }' }), key);
+    assert.notStrictEqual(cache.key({ ...build, compiler: 'local:clang 18.1' }), key);
+    assert.notStrictEqual(cache.key({ ...build, flags: ['-std=c++20', '-O2'] }), key);
+    assert.notStrictEqual(cache.key({ ...build, variant: 'instrumented-v5' }), key);
+    // Parts can't run into each other
+    assert.notStrictEqual(cache.key({ ...build, flags: ['-std=c++20'], variant: '-O0' }), key);
+});
+
+test('the key tells apart every setting of a compiler profile', () => {
+    const cache = new CompileCache();
+    const key = (settings) => cache.key({
+        source: 'int main() {}',
+        compiler: 'local:g++ 13.2',
+        flags: CompilerProfile.validate(settings).profile.flags()
+    });
+    const keys = [
+        {},
+        { standard: 'c++17' },
+        { optimization: 'O2' },
+        { warnings: true },
+        { defines: ['DEBUG'] },
+        { defines: ['DEBUG=2'] }
+    ].map(key);
+    assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('a stored binary is restored with its compiler output', () => {
+    const directory = tmp.dirSync({ unsafeCleanup: true }).name;
+    const cache = new CompileCache();
+    cache.store('a', binary(directory, 'a', 100), { stdout: '', stderr: 'warning: unused variable' });
+
+    const destination = path.join(directory, 'program');
+    assert.deepStrictEqual(cache.restore('a', destination), { stdout: '', stderr: 'warning: unused variable' });
+    assert.strictEqual(fs.readFileSync(destination).length, 100);
+    assert.strictEqual(cache.restore('b', destination), null);
+    assert.deepStrictEqual(cache.stats(), { entries: 1, bytes: 100, maxBytes: cache.maxBytes, hits: 1, misses: 1 });
+});
+
+test('the least recently used entries are evicted past the entry limit', () => {
+    const directory = tmp.dirSync({ unsafeCleanup: true }).name;
+    const destination = path.join(directory, 'program');
+    const cache = new CompileCache({ maxEntries: 2 });
+    cache.store('a', binary(directory, 'a', 10));
+    cache.store('b', binary(directory, 'b', 10));
+    // Using a makes b the oldest
+    cache.restore('a', destination);
+    cache.store('c', binary(directory, 'c', 10));
+
+    assert.deepStrictEqual([...cache.entries.keys()], ['a', 'c']);
+    assert.strictEqual(cache.restore('b', destination), null);
+    assert.strictEqual(cache.stats().bytes, 20);
+});
+
+test('the least recently used entries are evicted past the size limit', () => {
+    const directory = tmp.dirSync({ unsafeCleanup: true }).name;
+    const cache = new CompileCache({ maxBytes: 250 });
+    cache.store('a', binary(directory, 'a', 100));
+    cache.store('b', binary(directory, 'b', 100));
+    cache.store('c', binary(directory, 'c', 100));
+    assert.deepStrictEqual([...cache.entries.keys()], ['b', 'c']);
+    assert.strictEqual(cache.stats().bytes, 200);
+    assert.strictEqual(fs.existsSync(path.join(cache.directory, 'a')), false);
+
+    // Too big to ever fit: not cached, nothing evicted
+    cache.store('d', binary(directory, 'd', 300));
+    assert.deepStrictEqual([...cache.entries.keys()], ['b', 'c']);
+});
+
+// Needs g++ on the PATH
+test('a sandbox build is only reused for the same compiler profile', async () => {
+    const sandbox = Sandbox.create('local');
+    const workspace = await sandbox.createWorkspace();
+    const code = 'int main() { return 0; }\n';
+    const profile = (settings) => CompilerProfile.validate(settings).profile;
+    try {
+        assert.strictEqual((await sandbox.compile(workspace, code, { profile: profile({}) })).cached, false);
+        assert.strictEqual((await sandbox.compile(workspace, code, { profile: profile({}) })).cached, true);
+        assert.strictEqual((await sandbox.compile(workspace, code, { profile: profile({ optimization: 'O2' }) })).cached, false);
+        assert.strictEqual((await sandbox.compile(workspace, code, { profile: profile({ defines: ['N=3'] }) })).cached, false);
+    } finally {
+        await sandbox.releaseWorkspace(workspace);
+    }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CompilerProfile = require('../src/compiler-profile');
+
+test('missing fields take the defaults', () => {
+    const { isValid, errors, profile } = CompilerProfile.validate({});
+    assert.strictEqual(isValid, true);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(profile.toJSON(), CompilerProfile.DEFAULTS);
+    assert.strictEqual(profile.executable, 'g++');
+    assert.deepStrictEqual(profile.flags(), ['-std=c++20', '-O0']);
+});
+
+test('a valid profile turns into compiler flags', () => {
+    const { isValid, profile } = CompilerProfile.validate({
+        standard: 'c++17',
+        optimization: 'O2',
+        warnings: true,
+        defines: ['DEBUG', 'N=10', 'EPS=1e-9'],
+        compiler: 'clang'
+    });
+    assert.strictEqual(isValid, true);
+    assert.strictEqual(profile.executable, 'clang++');
+    assert.deepStrictEqual(profile.flags(), ['-std=c++17', '-O2', '-Wall', '-Wextra', '-DDEBUG', '-DN=10', '-DEPS=1e-9']);
+});
+
+test('values outside the allow-lists are rejected', () => {
+    const { isValid, errors, profile } = CompilerProfile.validate({
+        standard: 'gnu++20',
+        optimization: 'O3 -fplugin=evil.so',
+        warnings: 'yes',
+        compiler: '/bin/sh'
+    });
+    assert.strictEqual(isValid, false);
+    assert.strictEqual(profile, null);
+    assert.deepStrictEqual(errors, [
+        "Unsupported standard 'gnu++20'; expected one of c++11, c++14, c++17, c++20, c++23",
+        "Unsupported optimization 'O3 -fplugin=evil.so'; expected one of O0, O1, O2, O3, Os, Og",
+        'warnings must be true or false',
+        "Unsupported compiler '/bin/sh'; expected one of gcc, clang"
+    ]);
+});
+
+test('unknown fields are rejected', () => {
+    const { isValid, errors } = CompilerProfile.validate({ flags: ['-fplugin=evil.so'] });
+    assert.strictEqual(isValid, false);
+    assert.deepStrictEqual(errors, ["Unknown compiler profile field 'flags'"]);
+});
+
+test('defines that could smuggle in options or code are rejected', () => {
+    for (const define of ['-fplugin=evil.so', 'A B', 'X=$(id)', 'X="quoted"', 'X=a;b', '1ABC', 42]) {
+        const { isValid, errors } = CompilerProfile.validate({ defines: [define] });
+        assert.strictEqual(isValid, false, `${define} was accepted`);
+        assert.match(errors[0], /^Invalid define/);
+    }
+    assert.deepStrictEqual(CompilerProfile.validate({ defines: 'DEBUG' }).errors, [
+        'defines must be a list of NAME or NAME=value strings'
+    ]);
+    const tooMany = Array.from({ length: CompilerProfile.MAX_DEFINES + 1 }, (_, index) => `D${index}`);
+    assert.deepStrictEqual(CompilerProfile.validate({ defines: tooMany }).errors, [
+        `At most ${CompilerProfile.MAX_DEFINES} defines are allowed`
+    ]);
+});
+
+test('a profile that is not an object is rejected', () => {
+    for (const options of [null, [], 'O2']) {
+        assert.deepStrictEqual(CompilerProfile.validate(options), {
+            isValid: false,
+            errors: ['Compiler profile must be an object'],
+            profile: null
+        });
+    }
+});
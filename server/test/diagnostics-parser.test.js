@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DiagnosticsParser = require('../src/diagnostics-parser');
+const SourceMap = require('../src/source-map');
+
+// A g++ diagnostic in its JSON format, located at line:column to line:finish
+function gccEntry(kind, message, line, column, finish, extra = {}) {
+    const position = (at) => ({ file: 'main.cpp', line, column: at, 'byte-column': at, 'display-column': at });
+    return {
+        kind,
+        message,
+        'column-origin': 1,
+        'escape-source': false,
+        children: [],
+        locations: [{ caret: position(column), finish: position(finish) }],
+        ...extra
+    };
+}
+
+test('g++ JSON output becomes diagnostics with options, fix-its and notes', () => {
+    const output = JSON.stringify([
+        gccEntry('error', "'strng' is not a member of 'std'; did you mean 'string'?", 4, 10, 14, {
+            fixits: [{
+                start: { file: 'main.cpp', line: 4, column: 10 },
+                next: { file: 'main.cpp', line: 4, column: 15 },
+                string: 'string'
+            }],
+            children: [gccEntry('note', "'std::string' declared here", 90, 3, 3)]
+        }),
+        gccEntry('warning', "unused variable 'count'", 6, 9, 13, { option: '-Wunused-variable' })
+    ]);
+    const { diagnostics, text, injectedError } = new DiagnosticsParser('main.cpp').parse(`${output}\n`);
+
+    assert.deepStrictEqual(diagnostics, [
+        {
+            severity: 'error',
+            file: 'main.cpp',
+            line: 4,
+            column: 10,
+            endLine: 4,
+            endColumn: 15,
+            message: "'strng' is not a member of 'std'; did you mean 'string'?",
+            option: null,
+            fixits: [{ line: 4, column: 10, endLine: 4, endColumn: 15, text: 'string' }],
+            notes: [{
+                severity: 'note',
+                file: 'main.cpp',
+                line: 90,
+                column: 3,
+                endLine: 90,
+                endColumn: 4,
+                message: "'std::string' declared here",
+                option: null,
+                fixits: [],
+                notes: []
+            }]
+        },
+        {
+            severity: 'warning',
+            file: 'main.cpp',
+            line: 6,
+            column: 9,
+            endLine: 6,
+            endColumn: 14,
+            message: "unused variable 'count'",
+            option: '-Wunused-variable',
+            fixits: [],
+            notes: []
+        }
+    ]);
+    assert.strictEqual(text, [
+        "main.cpp:4:10: error: 'strng' is not a member of 'std'; did you mean 'string'?",
+        "main.cpp:90:3: note: 'std::string' declared here",
+        "main.cpp:6:9: warning: unused variable 'count' [-Wunused-variable]"
+    ].join('\n'));
+    assert.strictEqual(injectedError, false);
+});
+
+test('clang text output is read with its parseable fix-its and notes', () => {
+    const output = [
+        "main.cpp:4:5: error: use of undeclared identifier 'totl'; did you mean 'total'?",
+        '    totl += 1;',
+        '    ^~~~',
+        '    total',
+        'fix-it:"main.cpp":{4:5-4:9}:"total"',
+        "main.cpp:3:9: note: 'total' declared here",
+        '    int total = 0;',
+        '        ^',
+        "main.cpp:5:12: warning: expression result unused [-Wunused-value]",
+        'fix-it:"main.cpp":{5:12-5:12}:"(void)\\"x\\""',
+        '2 diagnostics generated.'
+    ].join('\n');
+    const { diagnostics, text } = new DiagnosticsParser('main.cpp').parse(output);
+
+    assert.strictEqual(diagnostics.length, 2);
+    assert.deepStrictEqual(diagnostics[0].fixits, [{ line: 4, column: 5, endLine: 4, endColumn: 9, text: 'total' }]);
+    assert.deepStrictEqual(diagnostics[0].notes.map(note => [note.line, note.column, note.message]), [
+        [3, 9, "'total' declared here"]
+    ]);
+    assert.deepStrictEqual(diagnostics[1], {
+        severity: 'warning',
+        file: 'main.cpp',
+        line: 5,
+        column: 12,
+        endLine: null,
+        endColumn: null,
+        message: 'expression result unused',
+        option: '-Wunused-value',
+        fixits: [{ line: 5, column: 12, endLine: 5, endColumn: 12, text: '(void)"x"' }],
+        notes: []
+    });
+    // The text is the output minus the fix-it lines
+    assert.ok(!text.includes('fix-it:'));
+    assert.ok(text.includes('    totl += 1;'));
+});
+
+test('linker errors come through without a location after the JSON', () => {
+    const output = [
+        '[]',
+        "/usr/bin/ld: /tmp/ccvAzrBV.o: in function `main':",
+        "main.cpp:(.text+0x5): undefined reference to `solve()'",
+        'collect2: error: ld returned 1 exit status'
+    ].join('\n');
+    const { diagnostics, text } = new DiagnosticsParser('main.cpp').parse(output);
+
+    assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.file, diagnostic.line, diagnostic.message]), [
+        ['error', null, null, "undefined reference to `solve()'"],
+        ['error', null, null, 'ld returned 1 exit status']
+    ]);
+    assert.strictEqual(text, output.split('\n').slice(1).join('\n'));
+});
+
+test('diagnostics in other files keep their own positions', () => {
+    const output = JSON.stringify([gccEntry('error', 'no match for call', 4, 5, 9, {
+        children: [{ ...gccEntry('note', 'candidate expects 2 arguments', 1200, 7, 7), locations: [{
+            caret: { file: '/usr/include/c++/13/bits/stl_algo.h', line: 1200, column: 7 }
+        }] }]
+    })]);
+    const [diagnostic] = new DiagnosticsParser('main.cpp').parse(output).diagnostics;
+    assert.deepStrictEqual(diagnostic.notes.map(note => [note.file, note.line, note.column]), [
+        ['/usr/include/c++/13/bits/stl_algo.h', 1200, 7]
+    ]);
+});
+
+test('with a source map, positions point into the original code and injected errors are flagged', () => {
+    // "int a = 1;\na = 2;\n" with a trace call injected after the first
+    // statement and a helper line injected before everything
+    const sourceMap = new SourceMap('int a = 1;\na = 2;\n', '#include "trace.h"\nint a = 1; TRACE(a);\na = 2;\n', [
+        { generatedStart: 19, originalStart: 0, length: 10 },
+        { generatedStart: 39, originalStart: 10, length: 8 }
+    ]);
+    const parser = new DiagnosticsParser('main.cpp');
+
+    const fromUserCode = parser.parse(JSON.stringify([
+        gccEntry('warning', 'unused value', 3, 1, 5, { option: '-Wunused-value' })
+    ]), sourceMap);
+    assert.deepStrictEqual(fromUserCode.diagnostics.map(diagnostic => [diagnostic.line, diagnostic.column, diagnostic.endLine, diagnostic.endColumn]), [
+        [2, 1, 2, 6]
+    ]);
+    assert.strictEqual(fromUserCode.text, 'main.cpp:2:1: warning: unused value [-Wunused-value]');
+    assert.strictEqual(fromUserCode.injectedError, false);
+
+    // An error in TRACE(a) on line 2 of the generated code
+    const fromTraceCode = parser.parse(JSON.stringify([
+        gccEntry('error', "'TRACE' was not declared in this scope", 2, 13, 17)
+    ]), sourceMap);
+    assert.deepStrictEqual(fromTraceCode.diagnostics, []);
+    assert.strictEqual(fromTraceCode.injectedError, true);
+
+    // Clang's text output goes through the same translation
+    const clang = parser.parse('main.cpp:3:1: error: oops\nfix-it:"main.cpp":{3:1-3:2}:"b"', sourceMap);
+    assert.deepStrictEqual(clang.diagnostics.map(diagnostic => [diagnostic.line, diagnostic.column, diagnostic.fixits]), [
+        [2, 1, [{ line: 2, column: 1, endLine: 2, endColumn: 2, text: 'b' }]]
+    ]);
+    assert.strictEqual(clang.text, 'main.cpp:2:1: error: oops');
+});
+
+test('each compiler is asked for the output the parser reads', () => {
+    assert.deepStrictEqual(DiagnosticsParser.flags('gcc'), ['-fdiagnostics-format=json']);
+    assert.deepStrictEqual(DiagnosticsParser.flags('clang'), ['-fdiagnostics-parseable-fixits']);
+    assert.deepStrictEqual(DiagnosticsParser.flags('unknown'), []);
+});
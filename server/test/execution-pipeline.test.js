@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExecutionPipeline = require('../src/execution-pipeline');
+const ProcessRunner = require('../src/process-runner');
+
+// These compile and run real programs, so they need g++ on the PATH
+
+test('a run killed by the time limit has its trace flagged as truncated', async () => {
+    const code = `#include <iostream>
+int main() {
+    long long count = 0;
+    while (true) {
+        count++;
+    }
+    return 0;
+}
+`;
+    const result = await new ExecutionPipeline().executeWithVisualization(code, '', { runLimits: { timeLimitMs: 500 } });
+
+    assert.strictEqual(result.status, ProcessRunner.STATUS.TIME_LIMIT);
+    const { truncated, steps } = result.executionTrace;
+    assert.strictEqual(truncated.reason, 'killed');
+    assert.strictEqual(truncated.status, ProcessRunner.STATUS.TIME_LIMIT);
+    assert.strictEqual(truncated.atStep, steps.length);
+    // The loop was being summarized when it was killed
+    assert.strictEqual(truncated.summarizing, true);
+});
+
+test('a hot loop is summarized and finishes within the time limit', async () => {
+    const code = `#include <iostream>
+int main() {
+    long long s = 0;
+    for (int i = 0; i < 1000000; i++) {
+        s += i;
+    }
+    std::cout << s << std::endl;
+    return 0;
+}
+`;
+    const result = await new ExecutionPipeline().executeWithVisualization(code);
+
+    assert.strictEqual(result.status, ProcessRunner.STATUS.OK);
+    assert.strictEqual(result.stdout.trim(), '499999500000');
+    const { truncated, steps } = result.executionTrace;
+    assert.strictEqual(truncated, null);
+    const summary = steps.findIndex(step => step.type === 'loop_summary');
+    assert.ok(summary > 0);
+    // The last iterations are traced, so s's final value comes before the summary
+    assert.strictEqual(steps[summary].firstSkippedIteration + steps[summary].skippedIterations - 1, 999995);
+    const writes = steps.slice(0, summary).filter(step => step.type === 'trace_var' && step.variable.name === 's');
+    assert.strictEqual(writes[writes.length - 1].variable.value, 499999500000);
+});
+
+test('a summarized loop traces its last iterations before the summary', async () => {
+    const code = `#include <iostream>
+int main() {
+    int total = 0;
+    int marked = 0;
+    for (int i = 1; i <= 2000; i++) {
+        total += i;
+        if (i == 1000) marked = i;
+    }
+    std::cout << total << " " << marked << std::endl;
+    return 0;
+}
+`;
+    const result = await new ExecutionPipeline().executeWithVisualization(code, '', { traceLimits: { sampleIterations: 3 } });
+
+    assert.strictEqual(result.status, ProcessRunner.STATUS.OK);
+    const { steps } = result.executionTrace;
+    const summary = steps.findIndex(step => step.type === 'loop_summary');
+    assert.ok(summary > 0);
+    const lastSkipped = steps[summary].firstSkippedIteration + steps[summary].skippedIterations - 1;
+    assert.strictEqual(lastSkipped, 1997);
+    // Iterations 1998 to 2000 run in full between the skipped ones and the summary
+    const tail = steps.slice(0, summary)
+        .filter(step => step.type === 'for_loop' && step.iteration > lastSkipped)
+        .map(step => [step.iteration, step.value]);
+    assert.deepStrictEqual(tail, [[1998, true], [1999, true], [2000, true], [2000, false]]);
+    const totals = steps.slice(0, summary).filter(step => step.type === 'trace_var' && step.variable.name === 'total');
+    assert.strictEqual(totals[totals.length - 1].variable.value, 2001000);
+    // Only a variable none of those wrote follows the summary
+    assert.deepStrictEqual(steps.slice(summary + 1)
+        .filter(step => step.type === 'trace_var')
+        .map(step => [step.variable.name, step.variable.value]), [['marked', 1000]]);
+});
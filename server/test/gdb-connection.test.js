@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const GdbConnection = require('../src/gdb-connection');
+
+// Stands in for the GDB child process: records what's written to stdin and
+// lets the test write GDB's replies
+function fakeGdb() {
+    const gdb = new EventEmitter();
+    gdb.commands = [];
+    gdb.stdin = new PassThrough();
+    gdb.stdin.on('data', data => gdb.commands.push(...data.toString().split('\n').filter(Boolean)));
+    gdb.stdout = new PassThrough();
+    gdb.reply = (text) => gdb.stdout.write(text);
+    gdb.kill = () => gdb.emit('close', null);
+    return gdb;
+}
+
+// Lets stream data flow through to the connection
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('commands go out with tokens and resolve with their own result record', async () => {
+    const gdb = fakeGdb();
+    const connection = new GdbConnection(gdb);
+    const frame = connection.send('-stack-info-frame');
+    const locals = connection.send('-stack-list-variables --no-values');
+    await tick();
+    assert.deepStrictEqual(gdb.commands, ['1-stack-info-frame', '2-stack-list-variables --no-values']);
+
+    // Out of order, and the second reply split across chunks
+    gdb.reply('2^done,variables=[{name="x"}]\n1^done,fra');
+    gdb.reply('me={level="0",line="3"}\n(gdb)\n');
+    assert.deepStrictEqual(await locals, { variables: [{ name: 'x' }] });
+    assert.deepStrictEqual(await frame, { frame: { level: '0', line: '3' } });
+});
+
+test('an error record rejects with GDB\'s message', async () => {
+    const gdb = fakeGdb();
+    const connection = new GdbConnection(gdb);
+    const evaluation = connection.send('-data-evaluate-expression y');
+    gdb.reply('1^error,msg="No symbol \\"y\\" in current context."\n');
+    await assert.rejects(evaluation, { message: 'No symbol "y" in current context.' });
+});
+
+test('records nobody asked for are emitted', async () => {
+    const gdb = fakeGdb();
+    const connection = new GdbConnection(gdb);
+    const events = [];
+    connection.on('exec', record => events.push(['exec', record]));
+    connection.on('notify', record => events.push(['notify', record]));
+    connection.on('stream', record => events.push(['stream', record]));
+    connection.on('output', text => events.push(['output', text]));
+    gdb.reply('*stopped,reason="end-stepping-range"\n=thread-exited,id="1"\n~"hello\\n"\nnot MI\n7^done\n');
+    await tick();
+    assert.deepStrictEqual(events, [
+        ['exec', { class: 'stopped', results: { reason: 'end-stepping-range' } }],
+        ['notify', { class: 'thread-exited', results: { id: '1' } }],
+        ['stream', { type: 'console', text: 'hello\n' }],
+        ['output', 'not MI']
+    ]);
+});
+
+test('commands still waiting when GDB exits are rejected, and later ones too', async () => {
+    const gdb = fakeGdb();
+    const connection = new GdbConnection(gdb);
+    let closed = false;
+    connection.on('close', () => { closed = true; });
+    const pending = connection.send('-exec-continue');
+    connection.kill();
+    await assert.rejects(pending, { message: 'GDB exited' });
+    assert.strictEqual(closed, true);
+    await assert.rejects(connection.send('-exec-next'), { message: 'GDB is not running' });
+});
+
+test('a GDB that fails to start rejects its commands with the reason', async () => {
+    const gdb = fakeGdb();
+    const connection = new GdbConnection(gdb);
+    let closeError = null;
+    connection.on('close', error => { closeError = error; });
+    const pending = connection.send('-gdb-set mi-async on');
+    gdb.emit('error', new Error('spawn gdb ENOENT'));
+    await assert.rejects(pending, { message: 'spawn gdb ENOENT' });
+    assert.strictEqual(closeError.message, 'spawn gdb ENOENT');
+});
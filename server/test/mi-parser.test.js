@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MiParser = require('../src/mi-parser');
+
+test('c-strings are unescaped, octal escapes decoded as UTF-8 bytes', () => {
+    const record = MiParser.parse('~"say \\"hi\\"\\tand\\\\bye\\n"');
+    assert.deepStrictEqual(record, { type: 'console', text: 'say "hi"\tand\\bye\n' });
+
+    // "é" as GDB prints it: two octal-escaped bytes
+    const value = MiParser.parse('^done,value="caf\\303\\251 \\101"');
+    assert.strictEqual(value.results.value, 'café A');
+});
+
+test('tuples become objects and lists arrays', () => {
+    const record = MiParser.parse('^done,frame={level="0",func="main",args=[]},names=["a","b"],empty={}');
+    assert.deepStrictEqual(record, {
+        type: 'result',
+        token: null,
+        class: 'done',
+        results: {
+            frame: { level: '0', func: 'main', args: [] },
+            names: ['a', 'b'],
+            empty: {}
+        }
+    });
+});
+
+test('a list of results keeps the values and drops the names', () => {
+    const record = MiParser.parse('^done,stack=[frame={level="0",line="5"},frame={level="1",line="12"}]');
+    assert.deepStrictEqual(record.results.stack, [
+        { level: '0', line: '5' },
+        { level: '1', line: '12' }
+    ]);
+});
+
+test('the bare location tuples of GDB before 13 are skipped', () => {
+    const record = MiParser.parse(
+        '=breakpoint-modified,bkpt={number="1",type="breakpoint",addr="<MULTIPLE>"},' +
+        '{number="1.1",addr="0x1139",line="4"},{number="1.2",addr="0x1150",line="4"}'
+    );
+    assert.strictEqual(record.type, 'notify');
+    assert.strictEqual(record.class, 'breakpoint-modified');
+    assert.deepStrictEqual(record.results, {
+        bkpt: { number: '1', type: 'breakpoint', addr: '<MULTIPLE>' }
+    });
+});
+
+test('records carry their token and type', () => {
+    assert.deepStrictEqual(MiParser.parse('12^error,msg="No symbol \\"x\\" in current context."'), {
+        type: 'result',
+        token: 12,
+        class: 'error',
+        results: { msg: 'No symbol "x" in current context.' }
+    });
+    assert.deepStrictEqual(MiParser.parse('*running,thread-id="all"'), {
+        type: 'exec',
+        token: null,
+        class: 'running',
+        results: { 'thread-id': 'all' }
+    });
+    assert.strictEqual(MiParser.parse('3+download').type, 'status');
+    assert.deepStrictEqual(MiParser.parse('(gdb) '), { type: 'prompt' });
+});
+
+test('lines that are not MI come back as output', () => {
+    assert.deepStrictEqual(MiParser.parse('Hello, world!'), { type: 'output', text: 'Hello, world!' });
+    // Look like records but don't parse
+    assert.deepStrictEqual(MiParser.parse('42^done,x='), { type: 'output', text: '42^done,x=' });
+    assert.deepStrictEqual(MiParser.parse('~"unterminated'), { type: 'output', text: '~"unterminated' });
+    assert.deepStrictEqual(MiParser.parse('~"a" trailing'), { type: 'output', text: '~"a" trailing' });
+});
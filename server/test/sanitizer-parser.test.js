@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SanitizerParser = require('../src/sanitizer-parser');
+
+test('UBSan reports get the check name as their kind', () => {
+    const stderr = `main.cpp:8:9: runtime error: signed integer overflow: 2147483647 + 5 cannot be represented in type 'int'
+    #0 0x55afbede7e47 in main /tmp/sandbox/main.cpp:8
+    #1 0x7f6d70045249  (/lib/x86_64-linux-gnu/libc.so.6+0x27249)
+`;
+    const [report] = new SanitizerParser('main.cpp').parse(stderr);
+    assert.strictEqual(report.kind, 'signed-integer-overflow');
+    assert.strictEqual(report.message, "signed integer overflow: 2147483647 + 5 cannot be represented in type 'int'");
+    assert.strictEqual(report.line, 8);
+});
+
+test('UBSan messages without a known check fall back to a generic kind', () => {
+    assert.strictEqual(SanitizerParser.ubsanCheck("index 5 out of bounds for type 'int [4]'"), 'bounds');
+    assert.strictEqual(SanitizerParser.ubsanCheck("store to null pointer of type 'int'"), 'null');
+    assert.strictEqual(SanitizerParser.ubsanCheck('something new'), 'undefined-behavior');
+});
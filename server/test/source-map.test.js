@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SourceMap = require('../src/source-map');
+
+// "int a = 1;\na = 2;\n" with a trace call injected after the first statement
+// and a helper line injected before everything
+const original = 'int a = 1;\na = 2;\n';
+const generated = '#include "trace.h"\nint a = 1; TRACE(a);\na = 2;\n';
+const sourceMap = new SourceMap(original, generated, [
+    { generatedStart: 19, originalStart: 0, length: 10 },
+    { generatedStart: 39, originalStart: 10, length: 8 }
+]);
+
+test('copied positions map to their original line and column', () => {
+    assert.deepStrictEqual(sourceMap.originalPosition(2, 5), { line: 1, column: 5, injected: false });
+    assert.deepStrictEqual(sourceMap.originalPosition(3, 3), { line: 2, column: 3, injected: false });
+});
+
+test('injected text belongs to the original line it sits on', () => {
+    assert.deepStrictEqual(sourceMap.originalPosition(2, 13), { line: 1, column: 11, injected: true });
+    assert.deepStrictEqual(sourceMap.originalPosition(1, 5), { line: null, column: null, injected: true });
+    assert.strictEqual(sourceMap.originalLine(1), null);
+    assert.strictEqual(sourceMap.originalLine(3), 2);
+});
+
+test('diagnostics are rewritten to original positions and errors in injected code are flagged', () => {
+    const { text, injectedError } = sourceMap.translateDiagnostics([
+        "main.cpp:3:1: warning: unused value [-Wunused-value]",
+        "main.cpp:2:13: error: 'TRACE' was not declared in this scope"
+    ].join('\n'), 'main.cpp');
+    assert.strictEqual(text, [
+        "main.cpp:2:1: warning: unused value [-Wunused-value]",
+        "main.cpp:1:11: error: 'TRACE' was not declared in this scope"
+    ].join('\n'));
+    assert.strictEqual(injectedError, true);
+
+    assert.strictEqual(sourceMap.translateDiagnostics('main.cpp:2:5: error: oops', 'main.cpp').injectedError, false);
+});
+
+test('locations anywhere in program output are rewritten, except inside injected lines', () => {
+    const output = 'main.cpp:3:3: runtime error: overflow\n    #0 in main /tmp/w/main.cpp:3\n    #1 in helper /tmp/w/main.cpp:1';
+    assert.strictEqual(sourceMap.translateLocations(output, 'main.cpp'),
+        'main.cpp:2:3: runtime error: overflow\n    #0 in main /tmp/w/main.cpp:2\n    #1 in helper /tmp/w/main.cpp:1');
+});
+
+test('segments recorded while applying edits map the generated code back', () => {
+    const CodeInstrumenter = require('../src/code-instrumenter');
+    const code = 'int a = 1;\na = 2;\n';
+    const segments = [];
+    const edited = new CodeInstrumenter().applyEdits(code, [
+        { index: 0, text: 'HELPERS();\n', kind: 'open', depth: -1 },
+        { index: 10, text: ' TRACE(a);', kind: 'open', depth: 0 }
+    ], segments);
+    const map = new SourceMap(code, edited, segments);
+    assert.strictEqual(edited, 'HELPERS();\nint a = 1; TRACE(a);\na = 2;\n');
+    assert.deepStrictEqual(map.originalPosition(2, 1), { line: 1, column: 1, injected: false });
+    assert.deepStrictEqual(map.originalPosition(2, 14), { line: 1, column: 11, injected: true });
+    assert.deepStrictEqual(map.originalPosition(3, 5), { line: 2, column: 5, injected: false });
+});